@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const authConfig = {
+  accessToken: {
+    secret: process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET,
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m'
+  },
+  refreshToken: {
+    secret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+  },
+  issuer: process.env.JWT_ISSUER || 'portfolio-backend',
+  // Distinguishes admin tokens from other JWTs the service signs (data request links)
+  audience: 'admin-api',
+  admin: {
+    username: process.env.ADMIN_USERNAME || process.env.ADMIN_EMAIL,
+    // Prefer ADMIN_PASSWORD_HASH (see scripts/hashPassword.js); ADMIN_PASSWORD is a plaintext fallback
+    passwordHash: process.env.ADMIN_PASSWORD_HASH,
+    password: process.env.ADMIN_PASSWORD
+  }
+};
+
+export const isAuthConfigured = () => Boolean(
+  authConfig.accessToken.secret &&
+  authConfig.refreshToken.secret &&
+  authConfig.admin.username &&
+  (authConfig.admin.passwordHash || authConfig.admin.password)
+);
+
+export default authConfig;
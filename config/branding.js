@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const portfolioUrl = process.env.PORTFOLIO_URL || 'https://manishsinghportfolio.com';
+
+const brandingConfig = {
+  ownerName: process.env.BRAND_OWNER_NAME || 'Manish Singh',
+  ownerTitle: process.env.BRAND_OWNER_TITLE || 'Full Stack Developer & Technology Consultant',
+  tagline: process.env.BRAND_TAGLINE || 'Building Digital Excellence',
+  systemName: process.env.BRAND_SYSTEM_NAME || 'Manish Singh Portfolio System',
+  senderName: process.env.PORTFOLIO_NAME || 'Manish Singh Portfolio',
+  contactEmail: process.env.BRAND_CONTACT_EMAIL || process.env.ADMIN_EMAIL || 'manishsinghbst0322@gmail.com',
+  responseTime: process.env.BRAND_RESPONSE_TIME || '4-6 business hours',
+  portfolioUrl,
+  adminUrl: process.env.ADMIN_DASHBOARD_URL || `${portfolioUrl}/admin`,
+  analyticsUrl: process.env.ANALYTICS_URL || `${portfolioUrl}/analytics`,
+  linkedinUrl: process.env.BRAND_LINKEDIN_URL || 'https://www.linkedin.com/in/manish-singh-967o4o42',
+  socialLinks: [
+    { label: 'GitHub Profile', url: process.env.BRAND_GITHUB_URL || 'https://github.com/Manishsingh2203' },
+    { label: 'LinkedIn Network', url: process.env.BRAND_LINKEDIN_URL || 'https://www.linkedin.com/in/manish-singh-967o4o42' },
+    { label: 'Instagram', url: process.env.BRAND_INSTAGRAM_URL || 'https://www.instagram.com/_manishsinghh' }
+  ]
+};
+
+export default brandingConfig;
@@ -0,0 +1,30 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Score-based providers (reCAPTCHA v3) score 0..1; an explicit 0 accepts every score
+const parseMinScore = (value, fallback = 0.5) => {
+  if (value === undefined || value === '') return fallback;
+
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed >= 0 && parsed <= 1) return parsed;
+
+  console.warn(`CAPTCHA_MIN_SCORE must be a number between 0 and 1 - using ${fallback}`);
+  return fallback;
+};
+
+const captchaConfig = {
+  // none | hcaptcha | turnstile | recaptcha | stub
+  provider: (process.env.CAPTCHA_PROVIDER || 'none').toLowerCase(),
+  secret: process.env.CAPTCHA_SECRET,
+  minScore: parseMinScore(process.env.CAPTCHA_MIN_SCORE),
+  tokenField: process.env.CAPTCHA_TOKEN_FIELD || 'captchaToken',
+  tokenHeader: process.env.CAPTCHA_TOKEN_HEADER || 'X-Captcha-Token',
+  expectedHostname: process.env.CAPTCHA_EXPECTED_HOSTNAME,
+  expectedAction: process.env.CAPTCHA_EXPECTED_ACTION,
+  timeoutMs: parseInt(process.env.CAPTCHA_TIMEOUT_MS, 10) || 5000,
+  // Accept submissions when the provider itself is unreachable
+  failOpen: process.env.CAPTCHA_FAIL_OPEN === 'true'
+};
+
+export default captchaConfig;
@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const intInRange = (value, fallback, min, max) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.min(Math.max(parsed, min), max);
+};
+
+const digestConfig = {
+  enabled: process.env.DIGEST_ENABLED !== 'false',
+  // Digests cover the period ending at this UTC hour; weekly ones end on weeklyDay (0 = Sunday)
+  hourUtc: intInRange(process.env.DIGEST_HOUR_UTC, 8, 0, 23),
+  weeklyDay: intInRange(process.env.DIGEST_WEEKLY_DAY, 1, 0, 6),
+  checkIntervalMs: (parseInt(process.env.DIGEST_CHECK_INTERVAL_MINUTES, 10) || 10) * 60 * 1000,
+  sendEmpty: process.env.DIGEST_SEND_EMPTY === 'true',
+  listLimit: parseInt(process.env.DIGEST_LIST_LIMIT, 10) || 10
+};
+
+export default digestConfig;
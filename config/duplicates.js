@@ -0,0 +1,11 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const duplicatesConfig = {
+  windowMs: (parseInt(process.env.DUPLICATE_WINDOW_MINUTES, 10) || 10) * 60 * 1000,
+  // 200 echoes the original submission back as a success, 409 reports a conflict
+  responseStatus: process.env.DUPLICATE_RESPONSE_STATUS === '409' ? 409 : 200
+};
+
+export default duplicatesConfig;
@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const emailConfig = {
+  transport: (process.env.EMAIL_TRANSPORT || 'brevo').toLowerCase(),
+  fallbackTransport: process.env.EMAIL_FALLBACK_TRANSPORT?.toLowerCase() || null,
+  from: {
+    name: process.env.PORTFOLIO_NAME || 'Manish Singh Portfolio',
+    email: process.env.FROM_EMAIL
+  },
+  replyTo: {
+    name: process.env.PORTFOLIO_NAME || 'Manish Singh Portfolio',
+    email: process.env.REPLY_TO_EMAIL || process.env.FROM_EMAIL
+  },
+  brevo: {
+    apiKey: process.env.BREVO_API_KEY,
+    baseUrl: process.env.BREVO_BASE_URL || 'https://api.brevo.com/v3'
+  },
+  resend: {
+    apiKey: process.env.RESEND_API_KEY
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  file: {
+    directory: process.env.EMAIL_FILE_DIR || 'tmp/emails'
+  }
+};
+
+export default emailConfig;
@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const emailQualityConfig = {
+  rejectDisposable: process.env.EMAIL_REJECT_DISPOSABLE !== 'false',
+  rejectTypos: process.env.EMAIL_REJECT_TYPOS !== 'false',
+  // Body flag the form sets when the sender keeps their address after seeing a suggestion
+  typoOverrideField: process.env.EMAIL_TYPO_OVERRIDE_FIELD || 'emailConfirmed',
+  // DNS MX lookups are off by default so submissions never depend on the network
+  checkMx: process.env.EMAIL_MX_CHECK === 'true',
+  rejectNoMx: process.env.EMAIL_REJECT_NO_MX === 'true',
+  mxTimeoutMs: parseInt(process.env.EMAIL_MX_TIMEOUT_MS, 10) || 3000,
+  // Optional extra list (JSON array or one domain per line) merged with the bundled one
+  extraDisposableDomainsFile: process.env.DISPOSABLE_DOMAINS_FILE,
+  disposableDomainsSourceUrl: process.env.DISPOSABLE_DOMAINS_SOURCE_URL ||
+    'https://raw.githubusercontent.com/disposable-email-domains/disposable-email-domains/main/disposable_email_blocklist.conf'
+};
+
+export default emailQualityConfig;
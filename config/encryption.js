@@ -0,0 +1,84 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Contact fields that may be encrypted at rest
+export const ENCRYPTABLE_FIELDS = ['email', 'ipAddress', 'userAgent', 'message'];
+
+// Encrypted unless ENCRYPTED_FIELDS says otherwise. `message` is opt-in: the text index is
+// built over stored values, so encrypting it turns off /contacts/search (it answers 422)
+export const DEFAULT_ENCRYPTED_FIELDS = ['email', 'ipAddress', 'userAgent'];
+
+// Encrypted fields that carry a deterministic blind index for exact-match lookups
+export const BLIND_INDEXES = { email: 'emailHash' };
+
+const KEY_LENGTH = 32;
+
+const decodeKey = (value) => {
+  const key = Buffer.from(String(value || '').trim(), 'base64');
+  return key.length === KEY_LENGTH ? key : null;
+};
+
+/**
+ * ENCRYPTION_KEYS is a comma-separated list of `<version>:<base64 32-byte key>`.
+ * New values are written with ENCRYPTION_KEY_VERSION (default: the last listed key);
+ * older versions stay listed until scripts/reencryptContacts.js has migrated them.
+ */
+const parseKeys = (value) => {
+  const keys = new Map();
+
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [version, encoded] = entry.split(':');
+    const key = decodeKey(encoded);
+
+    if (!/^[a-zA-Z0-9]+$/.test(version || '') || !key) {
+      console.warn(`Ignoring invalid encryption key "${version}": expected <version>:<base64 ${KEY_LENGTH}-byte key>`);
+      return;
+    }
+    keys.set(version, key);
+  });
+
+  return keys;
+};
+
+const parseFields = (value) => {
+  if (!value) return DEFAULT_ENCRYPTED_FIELDS;
+
+  const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+  fields.filter(field => !ENCRYPTABLE_FIELDS.includes(field)).forEach(field => {
+    console.warn(`Ignoring unsupported encrypted field "${field}" - supported: ${ENCRYPTABLE_FIELDS.join(', ')}`);
+  });
+
+  return fields.filter(field => ENCRYPTABLE_FIELDS.includes(field));
+};
+
+const keys = parseKeys(process.env.ENCRYPTION_KEYS);
+
+const encryptionConfig = {
+  keys,
+  activeVersion: process.env.ENCRYPTION_KEY_VERSION || [...keys.keys()].pop(),
+  // Separate from the encryption keys and never rotated by re-encryption: changing it
+  // means recomputing every blind index (reencryptContacts.js --force)
+  blindIndexKey: decodeKey(process.env.BLIND_INDEX_KEY),
+  // Encrypted values can only be matched exactly (email, via its blind index) - regex
+  // and full-text search no longer see them
+  fields: parseFields(process.env.ENCRYPTED_FIELDS)
+};
+
+export const isEncryptionEnabled = () => Boolean(
+  encryptionConfig.keys.has(encryptionConfig.activeVersion) &&
+  encryptionConfig.blindIndexKey &&
+  encryptionConfig.fields.length > 0
+);
+
+export const isFieldEncrypted = (field) => isEncryptionEnabled() && encryptionConfig.fields.includes(field);
+
+if (process.env.ENCRYPTION_KEYS && !isEncryptionEnabled()) {
+  console.warn('Field encryption not configured correctly (check ENCRYPTION_KEYS, ENCRYPTION_KEY_VERSION and BLIND_INDEX_KEY) - contact PII will be stored in plaintext');
+}
+
+if (isFieldEncrypted('message')) {
+  console.warn('Contact messages are encrypted - full-text search is disabled');
+}
+
+export default encryptionConfig;
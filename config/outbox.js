@@ -0,0 +1,14 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const outboxConfig = {
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 6,
+  baseDelayMs: parseInt(process.env.OUTBOX_BASE_DELAY_MS, 10) || 30 * 1000, // 30 seconds
+  maxDelayMs: parseInt(process.env.OUTBOX_MAX_DELAY_MS, 10) || 60 * 60 * 1000, // 1 hour
+  pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 15 * 1000, // 15 seconds
+  batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 10,
+  lockTimeoutMs: parseInt(process.env.OUTBOX_LOCK_TIMEOUT_MS, 10) || 5 * 60 * 1000 // 5 minutes
+};
+
+export default outboxConfig;
@@ -0,0 +1,52 @@
+import dotenv from 'dotenv';
+import authConfig from './auth.js';
+import brandingConfig from './branding.js';
+
+dotenv.config();
+
+export const ERASURE_MODES = ['delete', 'anonymize'];
+export const IP_STORAGE_MODES = ['full', 'truncate', 'hash', 'none'];
+export const USER_AGENT_STORAGE_MODES = ['full', 'summary', 'none'];
+
+const parseMode = (value, modes, name) => {
+  if (!value) return modes[0];
+  if (modes.includes(value)) return value;
+
+  console.warn(`${name} must be one of ${modes.join(', ')} - storing ${modes[0]}`);
+  return modes[0];
+};
+
+const privacyConfig = {
+  // Verification links are JWTs signed with their own secret (never the admin JWT secrets)
+  // so they can never pass as admin tokens. Data requests are disabled until it is set.
+  tokenSecret: process.env.PRIVACY_TOKEN_SECRET,
+  tokenExpiresIn: process.env.PRIVACY_TOKEN_EXPIRES_IN || '24h',
+  issuer: authConfig.issuer,
+  audience: 'data-subject-request',
+  verifyUrl: process.env.PRIVACY_VERIFY_URL || `${brandingConfig.portfolioUrl}/privacy/verify`,
+  // One verification email per address per window, so the endpoint cannot be used to flood an inbox
+  resendCooldownMs: (parseInt(process.env.PRIVACY_RESEND_COOLDOWN_MINUTES, 10) || 15) * 60 * 1000,
+  // How client details are persisted. Rate limiting and sender rules always see the raw request.
+  ipStorage: parseMode(process.env.PRIVACY_IP_MODE, IP_STORAGE_MODES, 'PRIVACY_IP_MODE'),
+  userAgentStorage: parseMode(process.env.PRIVACY_USER_AGENT_MODE, USER_AGENT_STORAGE_MODES, 'PRIVACY_USER_AGENT_MODE'),
+  ipHash: {
+    // Dedicated secret, required in hash mode - never shared with the JWT secrets
+    secret: process.env.PRIVACY_IP_HASH_SECRET,
+    rotationMs: (parseInt(process.env.PRIVACY_IP_HASH_ROTATION_HOURS, 10) || 24) * 60 * 60 * 1000
+  }
+};
+
+const sharesAdminSecret = [authConfig.accessToken.secret, authConfig.refreshToken.secret]
+  .includes(privacyConfig.tokenSecret);
+
+export const isPrivacyConfigured = () => Boolean(privacyConfig.tokenSecret) && !sharesAdminSecret;
+
+if (privacyConfig.tokenSecret && sharesAdminSecret) {
+  console.warn('PRIVACY_TOKEN_SECRET must differ from the admin JWT secrets - data requests disabled');
+}
+
+if (privacyConfig.ipStorage === 'hash' && !privacyConfig.ipHash.secret) {
+  throw new Error('PRIVACY_IP_MODE=hash requires PRIVACY_IP_HASH_SECRET');
+}
+
+export default privacyConfig;
@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const RETENTION_ACTIONS = ['delete', 'anonymize', 'archive'];
+
+const defaultPolicies = [
+  { name: 'spam', status: 'spam', maxAgeDays: 30, action: 'delete' },
+  { name: 'archived', status: 'archived', maxAgeDays: 365, action: 'archive' }
+];
+
+/**
+ * Policies are read from RETENTION_POLICIES as a JSON array of
+ * { name, status?, source?, maxAgeDays, action }. Invalid entries are dropped with a warning.
+ */
+const parsePolicies = (value) => {
+  if (!value) return defaultPolicies;
+
+  let policies;
+  try {
+    policies = JSON.parse(value);
+  } catch (error) {
+    console.warn('RETENTION_POLICIES is not valid JSON - using default retention policies');
+    return defaultPolicies;
+  }
+
+  return (Array.isArray(policies) ? policies : []).filter((policy, index) => {
+    const valid = policy && typeof policy.name === 'string' &&
+      RETENTION_ACTIONS.includes(policy.action) &&
+      Number.isFinite(policy.maxAgeDays) && policy.maxAgeDays > 0 &&
+      (policy.status || policy.source);
+
+    if (!valid) {
+      console.warn(`Ignoring invalid retention policy at index ${index}: needs name, action, maxAgeDays and a status or source`);
+    }
+    return valid;
+  });
+};
+
+const retentionConfig = {
+  enabled: process.env.RETENTION_ENABLED === 'true',
+  intervalMs: (parseInt(process.env.RETENTION_INTERVAL_HOURS, 10) || 24) * 60 * 60 * 1000,
+  batchSize: parseInt(process.env.RETENTION_BATCH_SIZE, 10) || 500,
+  policies: parsePolicies(process.env.RETENTION_POLICIES)
+};
+
+export default retentionConfig;
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const hours = (value, fallback) => (parseFloat(value) || fallback) * 60 * 60 * 1000;
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const slaConfig = {
+  // Time to first reply each priority is expected to meet
+  targets: {
+    urgent: hours(process.env.SLA_URGENT_HOURS, 4),
+    high: hours(process.env.SLA_HIGH_HOURS, 24),
+    normal: hours(process.env.SLA_NORMAL_HOURS, 72),
+    low: hours(process.env.SLA_LOW_HOURS, 168)
+  },
+  // IANA timezone used to group analytics by day/week/month
+  timezone: process.env.STATS_TIMEZONE || 'UTC',
+  defaultRangeDays: parseInt(process.env.STATS_DEFAULT_RANGE_DAYS, 10) || 30,
+  escalation: {
+    enabled: process.env.SLA_ESCALATION_ENABLED !== 'false',
+    intervalMs: (parseInt(process.env.SLA_ESCALATION_INTERVAL_MINUTES, 10) || 15) * 60 * 1000,
+    // Multiples of the priority target at which to escalate, e.g. "1,2" alerts at the deadline and again at twice it
+    thresholds: [...new Set(parseList(process.env.SLA_ESCALATION_THRESHOLDS || '1,2')
+      .map(Number)
+      .filter(value => value > 0))]
+      .sort((a, b) => a - b),
+    recipients: parseList(process.env.SLA_ESCALATION_EMAILS || process.env.ADMIN_EMAIL),
+    batchSize: parseInt(process.env.SLA_ESCALATION_BATCH_SIZE, 10) || 50
+  }
+};
+
+export default slaConfig;
@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+const defaultKeywords = [
+  'viagra', 'cialis', 'casino', 'betting', 'lottery', 'bitcoin', 'crypto', 'forex',
+  'loan', 'payday', 'seo services', 'backlinks', 'guest post', 'rank your website',
+  'click here', 'buy now', 'free money', 'work from home', 'make money fast', 'porn'
+];
+
+const spamConfig = {
+  enabled: process.env.SPAM_FILTER_ENABLED !== 'false',
+  threshold: parseFloat(process.env.SPAM_SCORE_THRESHOLD) || 5,
+  honeypotField: process.env.SPAM_HONEYPOT_FIELD || 'website',
+  renderedAtField: process.env.SPAM_RENDERED_AT_FIELD || 'formRenderedAt',
+  minFillTimeMs: parseInt(process.env.SPAM_MIN_FILL_TIME_MS, 10) || 3000,
+  maxFillTimeMs: parseInt(process.env.SPAM_MAX_FILL_TIME_MS, 10) || 24 * 60 * 60 * 1000, // 24 hours
+  maxLinks: parseInt(process.env.SPAM_MAX_LINKS, 10) || 2,
+  maxRepeatedChars: parseInt(process.env.SPAM_MAX_REPEATED_CHARS, 10) || 8,
+  keywords: [...new Set([...defaultKeywords, ...parseList(process.env.SPAM_KEYWORDS)])],
+  weights: {
+    honeypot: 10,
+    tooFast: 5,
+    missingTimestamp: 1,
+    invalidTimestamp: 2,
+    staleForm: 1,
+    linkDensity: 2,
+    repeatedChars: 2,
+    keyword: 1.5,
+    maxKeyword: 6
+  }
+};
+
+export default spamConfig;
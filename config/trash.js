@@ -0,0 +1,17 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const parseDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days >= 0 ? days : fallback;
+};
+
+const trashConfig = {
+  // Trashed contacts are permanently deleted this many days after deletion; 0 keeps them until purged by hand
+  retentionDays: parseDays(process.env.TRASH_RETENTION_DAYS, 30),
+  intervalMs: (parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS, 10) || 6) * 60 * 60 * 1000,
+  batchSize: parseInt(process.env.TRASH_PURGE_BATCH_SIZE, 10) || 500
+};
+
+export default trashConfig;
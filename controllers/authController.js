@@ -0,0 +1,101 @@
+import jwt from 'jsonwebtoken';
+import tokenService from '../services/tokenService.js';
+import ResponseUtil from '../utils/responseUtil.js';
+
+/**
+ * Admin Authentication Controller
+ */
+export class AuthController {
+  /**
+   * Exchange admin credentials for an access/refresh token pair
+   */
+  static login = async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+
+      if (!username || !password) {
+        return ResponseUtil.validationError(res, 'Username and password are required');
+      }
+
+      if (!tokenService.verifyCredentials(username, password)) {
+        console.warn('Failed admin login attempt:', { username, ip: req.ip });
+        return ResponseUtil.unauthorized(res, 'Invalid username or password');
+      }
+
+      const tokens = tokenService.issueTokenPair(username.trim().toLowerCase());
+      console.log(`Admin login successful: ${username}`);
+
+      return ResponseUtil.success(res, 'Login successful', tokens);
+    } catch (error) {
+      console.error('Admin login error:', error);
+      return ResponseUtil.error(res, 'Failed to log in', error);
+    }
+  };
+
+  /**
+   * Rotate a refresh token into a fresh token pair
+   */
+  static refresh = async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+
+      if (!refreshToken) {
+        return ResponseUtil.validationError(res, 'Refresh token is required');
+      }
+
+      const tokens = await tokenService.rotate(refreshToken);
+
+      return ResponseUtil.success(res, 'Token refreshed successfully', tokens);
+    } catch (error) {
+      if (error instanceof jwt.JsonWebTokenError) {
+        return ResponseUtil.unauthorized(res, 'Invalid or expired refresh token');
+      }
+
+      console.error('Token refresh error:', error);
+      return ResponseUtil.error(res, 'Failed to refresh token', error);
+    }
+  };
+
+  /**
+   * Revoke the current access token and, if supplied, its refresh token
+   */
+  static logout = async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+
+      await tokenService.revoke(req.admin.token);
+
+      if (refreshToken) {
+        try {
+          const payload = await tokenService.verifyRefreshToken(refreshToken);
+          await tokenService.revoke(payload);
+        } catch (error) {
+          // An already invalid refresh token needs no revocation
+        }
+      }
+
+      return ResponseUtil.success(res, 'Logged out successfully');
+    } catch (error) {
+      console.error('Admin logout error:', error);
+      return ResponseUtil.error(res, 'Failed to log out', error);
+    }
+  };
+
+  /**
+   * Describe the currently authenticated admin
+   */
+  static me = async (req, res) => {
+    return ResponseUtil.success(res, 'Authenticated', {
+      username: req.admin.username,
+      role: req.admin.role,
+      tokenExpiresAt: new Date(req.admin.token.exp * 1000)
+    });
+  };
+}
+
+export const {
+  login,
+  refresh,
+  logout,
+  me
+} = AuthController;
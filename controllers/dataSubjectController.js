@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+import { ERASURE_MODES } from '../config/privacy.js';
+import DataSubjectRequest, { REQUEST_STATUSES } from '../models/DataSubjectRequest.js';
+import {
+  DataSubjectRequestError,
+  createRequest,
+  resolveRequest,
+  countSubjectRecords,
+  exportSubjectData,
+  eraseSubjectData
+} from '../services/dataSubject.js';
+import { storedIP, storedUserAgent } from '../services/clientPrivacy.js';
+import ResponseUtil from '../utils/responseUtil.js';
+
+const requestMeta = (req) => ({
+  actor: 'subject',
+  ipAddress: storedIP(req.ip),
+  userAgent: storedUserAgent(req.get('User-Agent'))?.substring(0, 500)
+});
+
+const requestError = (res, error, fallback, context) => {
+  if (error instanceof DataSubjectRequestError) {
+    return ResponseUtil.error(res, error.message, null, error.statusCode);
+  }
+
+  console.error(`${context} error:`, error);
+  return ResponseUtil.error(res, fallback, error);
+};
+
+/**
+ * Data-Subject Request Controller (GDPR / DPDP access and erasure)
+ */
+export class DataSubjectController {
+  /**
+   * Open a request and email a verification link. The response never reveals
+   * whether any data is held for the address.
+   */
+  static submitRequest = async (req, res) => {
+    try {
+      await createRequest(req.body.email, requestMeta(req));
+
+      return ResponseUtil.success(
+        res,
+        'If we hold data for this address, a verification link has been sent to it. Please check your inbox.',
+        null,
+        202
+      );
+    } catch (error) {
+      return requestError(res, error, 'Failed to submit data request', 'Submit data request');
+    }
+  };
+
+  /**
+   * Confirm a verification link and summarise what is held for the address
+   */
+  static verifyRequest = async (req, res) => {
+    try {
+      const request = await resolveRequest(req.body?.token, requestMeta(req));
+      const records = await countSubjectRecords(request.email);
+
+      return ResponseUtil.success(res, 'Data request verified successfully', {
+        requestId: request._id,
+        email: request.email,
+        status: request.status,
+        expiresAt: request.expiresAt,
+        records,
+        actions: ['export', ...ERASURE_MODES]
+      });
+    } catch (error) {
+      return requestError(res, error, 'Failed to verify data request', 'Verify data request');
+    }
+  };
+
+  /**
+   * Download every record tied to the verified address as a JSON file
+   */
+  static exportData = async (req, res) => {
+    try {
+      const request = await resolveRequest(req.body?.token, requestMeta(req));
+      const data = await exportSubjectData(request, requestMeta(req));
+
+      res.set('Content-Disposition', `attachment; filename="my-data-${request._id}.json"`);
+      return res.status(200).json(data);
+    } catch (error) {
+      return requestError(res, error, 'Failed to export data', 'Export subject data');
+    }
+  };
+
+  /**
+   * Delete or anonymize every record tied to the verified address
+   */
+  static eraseData = async (req, res) => {
+    try {
+      const request = await resolveRequest(req.body.token, requestMeta(req));
+      const completed = await eraseSubjectData(request, req.body.mode, requestMeta(req));
+
+      return ResponseUtil.success(res, `Your data has been ${completed.outcome.action === 'delete' ? 'erased' : 'anonymized'}`, {
+        requestId: completed._id,
+        completedAt: completed.completedAt,
+        outcome: completed.outcome
+      });
+    } catch (error) {
+      return requestError(res, error, 'Failed to erase data', 'Erase subject data');
+    }
+  };
+
+  /**
+   * List requests for admins, newest first, with optional status and email filters
+   */
+  static getRequests = async (req, res) => {
+    try {
+      const { status, email } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const filter = {};
+      if (status) {
+        const statuses = status.split(',').map(value => value.trim());
+        if (statuses.some(value => !REQUEST_STATUSES.includes(value))) {
+          return ResponseUtil.validationError(res, `Status must be one of: ${REQUEST_STATUSES.join(', ')}`);
+        }
+        filter.status = { $in: statuses };
+      }
+      if (email) filter.email = String(email).trim().toLowerCase();
+
+      await DataSubjectRequest.expireStale();
+
+      const [requests, total] = await Promise.all([
+        DataSubjectRequest.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select('-log'),
+        DataSubjectRequest.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return ResponseUtil.success(res, 'Data requests retrieved successfully', {
+        requests,
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Get data requests error:', error);
+      return ResponseUtil.error(res, 'Failed to retrieve data requests', error);
+    }
+  };
+
+  /**
+   * A single request with its full action log
+   */
+  static getRequestById = async (req, res) => {
+    try {
+      const request = mongoose.isValidObjectId(req.params.id) && await DataSubjectRequest.findById(req.params.id);
+
+      if (!request) {
+        return ResponseUtil.error(res, 'Data request not found', null, 404);
+      }
+
+      return ResponseUtil.success(res, 'Data request retrieved successfully', request);
+    } catch (error) {
+      console.error('Get data request error:', error);
+      return ResponseUtil.error(res, 'Failed to retrieve data request', error);
+    }
+  };
+}
+
+export const {
+  submitRequest,
+  verifyRequest,
+  exportData,
+  eraseData,
+  getRequests,
+  getRequestById
+} = DataSubjectController;
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+import NotificationRecipient from '../models/NotificationRecipient.js';
+import { DIGEST_FREQUENCIES, digestPeriod, buildDigest } from '../services/digest.js';
+import { renderEmail } from '../services/email/templates.js';
+import ResponseUtil from '../utils/responseUtil.js';
+
+const EDITABLE_FIELDS = ['email', 'name', 'mode', 'digestFrequency', 'active'];
+
+const pickEditable = (body = {}) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key))
+);
+
+const validationErrors = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+/**
+ * Admin Notification Recipient Controller
+ */
+export class NotificationRecipientController {
+  /**
+   * List recipients with optional mode and active filters
+   */
+  static getRecipients = async (req, res) => {
+    try {
+      const { mode, active } = req.query;
+
+      const filter = {};
+      if (mode) filter.mode = mode;
+      if (active !== undefined) filter.active = active === 'true';
+
+      const recipients = await NotificationRecipient.find(filter).sort({ createdAt: 1 });
+
+      return ResponseUtil.success(res, 'Notification recipients retrieved successfully', recipients);
+    } catch (error) {
+      console.error('Get notification recipients error:', error);
+      return ResponseUtil.error(res, 'Failed to retrieve notification recipients', error);
+    }
+  };
+
+  /**
+   * Add a recipient
+   */
+  static createRecipient = async (req, res) => {
+    try {
+      const recipient = await NotificationRecipient.create({
+        ...pickEditable(req.body),
+        createdBy: req.admin.username
+      });
+
+      console.log(`Notification recipient added: ${recipient.email} (${recipient.mode}) by ${req.admin.username}`);
+
+      return ResponseUtil.success(res, 'Notification recipient created successfully', recipient, 201);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ResponseUtil.validationError(res, validationErrors(error));
+      }
+
+      if (error.code === 11000) {
+        return ResponseUtil.error(res, 'A recipient with this email already exists', error, 409);
+      }
+
+      console.error('Create notification recipient error:', error);
+      return ResponseUtil.error(res, 'Failed to create notification recipient', error);
+    }
+  };
+
+  /**
+   * Change a recipient's delivery mode, digest frequency or active flag
+   */
+  static updateRecipient = async (req, res) => {
+    try {
+      const recipient = mongoose.isValidObjectId(req.params.id) && await NotificationRecipient.findById(req.params.id);
+
+      if (!recipient) {
+        return ResponseUtil.error(res, 'Notification recipient not found', null, 404);
+      }
+
+      recipient.set(pickEditable(req.body));
+      await recipient.save();
+
+      return ResponseUtil.success(res, 'Notification recipient updated successfully', recipient);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ResponseUtil.validationError(res, validationErrors(error));
+      }
+
+      if (error.code === 11000) {
+        return ResponseUtil.error(res, 'A recipient with this email already exists', error, 409);
+      }
+
+      console.error('Update notification recipient error:', error);
+      return ResponseUtil.error(res, 'Failed to update notification recipient', error);
+    }
+  };
+
+  /**
+   * Remove a recipient
+   */
+  static deleteRecipient = async (req, res) => {
+    try {
+      const recipient = mongoose.isValidObjectId(req.params.id) && await NotificationRecipient.findByIdAndDelete(req.params.id);
+
+      if (!recipient) {
+        return ResponseUtil.error(res, 'Notification recipient not found', null, 404);
+      }
+
+      console.log(`Notification recipient removed: ${recipient.email} by ${req.admin.username}`);
+
+      return ResponseUtil.success(res, 'Notification recipient deleted successfully');
+    } catch (error) {
+      console.error('Delete notification recipient error:', error);
+      return ResponseUtil.error(res, 'Failed to delete notification recipient', error);
+    }
+  };
+
+  /**
+   * Render the digest for the most recent period with live data
+   */
+  static previewDigest = async (req, res) => {
+    try {
+      const { frequency = 'daily', format = 'json' } = req.query;
+
+      if (!DIGEST_FREQUENCIES[frequency]) {
+        return ResponseUtil.validationError(res, {
+          field: 'frequency',
+          message: `frequency must be one of: ${Object.keys(DIGEST_FREQUENCIES).join(', ')}`
+        });
+      }
+
+      const digest = await buildDigest(digestPeriod(frequency));
+      const rendered = renderEmail('adminDigest', { ...digest, frequency: DIGEST_FREQUENCIES[frequency].label });
+
+      if (format === 'html') {
+        return res.status(200).type('html').send(rendered.html);
+      }
+
+      if (format === 'text') {
+        return res.status(200).type('text').send(rendered.text);
+      }
+
+      return ResponseUtil.success(res, 'Digest rendered successfully', { digest, ...rendered });
+    } catch (error) {
+      console.error('Digest preview error:', error);
+      return ResponseUtil.error(res, 'Failed to render digest', error);
+    }
+  };
+}
+
+export const {
+  getRecipients,
+  createRecipient,
+  updateRecipient,
+  deleteRecipient,
+  previewDigest
+} = NotificationRecipientController;
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import EmailOutbox from '../models/EmailOutbox.js';
+import emailOutbox from '../services/email/outbox.js';
+import ResponseUtil from '../utils/responseUtil.js';
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed', 'dead'];
+const REQUEUEABLE_STATUSES = ['failed', 'dead'];
+
+/**
+ * Email Outbox Administration Controller
+ */
+export class OutboxController {
+  /**
+   * List outbox entries, defaulting to the ones that need attention
+   */
+  static getOutboxEntries = async (req, res) => {
+    try {
+      const { status = 'dead', type, contact } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const statuses = status.split(',').map(value => value.trim());
+      if (statuses.some(value => !OUTBOX_STATUSES.includes(value))) {
+        return ResponseUtil.validationError(res, `Status must be one of: ${OUTBOX_STATUSES.join(', ')}`);
+      }
+
+      const filter = { status: { $in: statuses } };
+      if (type) filter.type = type;
+      if (contact) {
+        if (!mongoose.isValidObjectId(contact)) {
+          return ResponseUtil.validationError(res, 'Contact must be a valid ID');
+        }
+        filter.contact = contact;
+      }
+
+      const [entries, total] = await Promise.all([
+        EmailOutbox.find(filter)
+          .sort({ updatedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select('-message.html -message.text'),
+        EmailOutbox.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return ResponseUtil.success(res, 'Outbox entries retrieved successfully', {
+        entries,
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Get outbox entries error:', error);
+      return ResponseUtil.error(res, 'Failed to retrieve outbox entries', error);
+    }
+  };
+
+  /**
+   * Re-queue a single failed or dead-lettered email
+   */
+  static requeueOutboxEntry = async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return ResponseUtil.error(res, 'Outbox entry not found', null, 404);
+      }
+
+      const entry = await EmailOutbox.findById(req.params.id).select('status');
+
+      if (!entry) {
+        return ResponseUtil.error(res, 'Outbox entry not found', null, 404);
+      }
+
+      if (!REQUEUEABLE_STATUSES.includes(entry.status)) {
+        return ResponseUtil.error(res, `Only failed or dead emails can be re-queued (current status: ${entry.status})`, null, 409);
+      }
+
+      await emailOutbox.requeue({ _id: entry._id });
+      console.log(`Outbox entry re-queued: ${entry._id} by ${req.admin.username}`);
+
+      return ResponseUtil.success(res, 'Email re-queued successfully', { id: entry._id });
+    } catch (error) {
+      console.error('Requeue outbox entry error:', error);
+      return ResponseUtil.error(res, 'Failed to re-queue email', error);
+    }
+  };
+
+  /**
+   * Re-queue every email in the given failure state (dead by default)
+   */
+  static requeueOutboxEntries = async (req, res) => {
+    try {
+      const { status = 'dead', type } = req.body || {};
+
+      if (!REQUEUEABLE_STATUSES.includes(status)) {
+        return ResponseUtil.validationError(res, `Status must be one of: ${REQUEUEABLE_STATUSES.join(', ')}`);
+      }
+
+      const result = await emailOutbox.requeue({ status, ...(type && { type }) });
+      console.log(`Outbox bulk re-queue: ${result.modifiedCount} ${status} emails by ${req.admin.username}`);
+
+      return ResponseUtil.success(res, 'Emails re-queued successfully', { requeued: result.modifiedCount });
+    } catch (error) {
+      console.error('Requeue outbox entries error:', error);
+      return ResponseUtil.error(res, 'Failed to re-queue emails', error);
+    }
+  };
+}
+
+export const {
+  getOutboxEntries,
+  requeueOutboxEntry,
+  requeueOutboxEntries
+} = OutboxController;
@@ -0,0 +1,109 @@
+import retentionConfig from '../config/retention.js';
+import RetentionRun from '../models/RetentionRun.js';
+import retentionScheduler, { previewRetention, runRetention } from '../services/retention.js';
+import ResponseUtil from '../utils/responseUtil.js';
+
+/**
+ * Admin Retention Controller
+ */
+export class RetentionController {
+  /**
+   * Configured policies and scheduler settings
+   */
+  static getPolicies = async (req, res) => {
+    try {
+      return ResponseUtil.success(res, 'Retention policies retrieved successfully', {
+        enabled: retentionConfig.enabled,
+        intervalMs: retentionConfig.intervalMs,
+        batchSize: retentionConfig.batchSize,
+        policies: retentionConfig.policies
+      });
+    } catch (error) {
+      console.error('Get retention policies error:', error);
+      return ResponseUtil.error(res, 'Failed to retrieve retention policies', error);
+    }
+  };
+
+  /**
+   * Exactly which contacts a run would affect right now, per policy
+   */
+  static getRetentionPreview = async (req, res) => {
+    try {
+      const sampleSize = Math.min(Math.max(parseInt(req.query.sample, 10) || 20, 0), 100);
+      const preview = await previewRetention({ sampleSize });
+
+      return ResponseUtil.success(res, 'Retention preview generated successfully', preview);
+    } catch (error) {
+      console.error('Preview retention error:', error);
+      return ResponseUtil.error(res, 'Failed to generate retention preview', error);
+    }
+  };
+
+  /**
+   * Apply the policies now. A dry run only records what would have been affected.
+   */
+  static triggerRetentionRun = async (req, res) => {
+    try {
+      const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true';
+      const options = { trigger: 'manual', actor: req.admin.username, dryRun };
+
+      const run = dryRun ? await runRetention(options) : await retentionScheduler.execute(options);
+
+      if (!run) {
+        return ResponseUtil.conflict(res, 'A retention run is already in progress');
+      }
+
+      console.log(`Retention ${dryRun ? 'dry run' : 'run'} ${run._id} triggered by ${req.admin.username}`);
+
+      return ResponseUtil.success(res, `Retention ${dryRun ? 'dry run' : 'run'} completed`, run);
+    } catch (error) {
+      console.error('Run retention error:', error);
+      return ResponseUtil.error(res, 'Failed to run retention policies', error);
+    }
+  };
+
+  /**
+   * Run history, newest first
+   */
+  static getRetentionRuns = async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const filter = {};
+      if (req.query.trigger) filter.trigger = req.query.trigger;
+      if (req.query.dryRun !== undefined) filter.dryRun = req.query.dryRun === 'true';
+
+      const [runs, total] = await Promise.all([
+        RetentionRun.find(filter)
+          .sort({ startedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        RetentionRun.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return ResponseUtil.success(res, 'Retention runs retrieved successfully', {
+        runs,
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Get retention runs error:', error);
+      return ResponseUtil.error(res, 'Failed to retrieve retention runs', error);
+    }
+  };
+}
+
+export const {
+  getPolicies,
+  getRetentionPreview,
+  triggerRetentionRun,
+  getRetentionRuns
+} = RetentionController;
@@ -0,0 +1,167 @@
+import mongoose from 'mongoose';
+import SenderRule from '../models/SenderRule.js';
+import ResponseUtil from '../utils/responseUtil.js';
+
+const EDITABLE_FIELDS = ['list', 'type', 'value', 'reason', 'expiresAt'];
+
+const pickEditable = (body = {}) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key))
+);
+
+const validationErrors = (error) => Object.values(error.errors).map(err => ({
+  field: err.path,
+  message: err.message
+}));
+
+/**
+ * Sender Blocklist / Allowlist Controller
+ */
+export class SenderRuleController {
+  /**
+   * List rules with optional list, type and expiry filters
+   */
+  static getSenderRules = async (req, res) => {
+    try {
+      const { list, type, search, includeExpired = 'false', sortBy = 'createdAt' } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      const filter = {};
+      if (list) filter.list = list;
+      if (type) filter.type = type;
+      if (search) filter.value = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+      const query = SenderRule.find(filter);
+      if (includeExpired !== 'true') query.active();
+
+      // Sorting by hits or last hit surfaces stale rules worth pruning
+      const sortField = ['createdAt', 'hits', 'lastHitAt', 'expiresAt'].includes(sortBy) ? sortBy : 'createdAt';
+
+      const [rules, total] = await Promise.all([
+        query
+          .sort({ [sortField]: sortField === 'expiresAt' ? 1 : -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        SenderRule.countDocuments(query.getFilter())
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return ResponseUtil.success(res, 'Sender rules retrieved successfully', {
+        rules,
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Get sender rules error:', error);
+      return ResponseUtil.error(res, 'Failed to retrieve sender rules', error);
+    }
+  };
+
+  /**
+   * Get single rule by ID
+   */
+  static getSenderRuleById = async (req, res) => {
+    try {
+      const rule = mongoose.isValidObjectId(req.params.id) && await SenderRule.findById(req.params.id);
+
+      if (!rule) {
+        return ResponseUtil.error(res, 'Sender rule not found', null, 404);
+      }
+
+      return ResponseUtil.success(res, 'Sender rule retrieved successfully', rule);
+    } catch (error) {
+      console.error('Get sender rule error:', error);
+      return ResponseUtil.error(res, 'Failed to retrieve sender rule', error);
+    }
+  };
+
+  /**
+   * Create a block or allow rule
+   */
+  static createSenderRule = async (req, res) => {
+    try {
+      const rule = await SenderRule.create({
+        ...pickEditable(req.body),
+        createdBy: req.admin.username
+      });
+
+      console.log(`Sender rule created: ${rule.list} ${rule.type} ${rule.value} by ${req.admin.username}`);
+
+      return ResponseUtil.success(res, 'Sender rule created successfully', rule, 201);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ResponseUtil.validationError(res, validationErrors(error));
+      }
+
+      if (error.code === 11000) {
+        return ResponseUtil.error(res, 'An identical sender rule already exists', error, 409);
+      }
+
+      console.error('Create sender rule error:', error);
+      return ResponseUtil.error(res, 'Failed to create sender rule', error);
+    }
+  };
+
+  /**
+   * Update a rule's value, list, reason or expiry
+   */
+  static updateSenderRule = async (req, res) => {
+    try {
+      const rule = mongoose.isValidObjectId(req.params.id) && await SenderRule.findById(req.params.id);
+
+      if (!rule) {
+        return ResponseUtil.error(res, 'Sender rule not found', null, 404);
+      }
+
+      rule.set(pickEditable(req.body));
+      await rule.save();
+
+      return ResponseUtil.success(res, 'Sender rule updated successfully', rule);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ResponseUtil.validationError(res, validationErrors(error));
+      }
+
+      if (error.code === 11000) {
+        return ResponseUtil.error(res, 'An identical sender rule already exists', error, 409);
+      }
+
+      console.error('Update sender rule error:', error);
+      return ResponseUtil.error(res, 'Failed to update sender rule', error);
+    }
+  };
+
+  /**
+   * Delete a rule
+   */
+  static deleteSenderRule = async (req, res) => {
+    try {
+      const rule = mongoose.isValidObjectId(req.params.id) && await SenderRule.findByIdAndDelete(req.params.id);
+
+      if (!rule) {
+        return ResponseUtil.error(res, 'Sender rule not found', null, 404);
+      }
+
+      console.log(`Sender rule deleted: ${rule.list} ${rule.type} ${rule.value} by ${req.admin.username}`);
+
+      return ResponseUtil.success(res, 'Sender rule deleted successfully');
+    } catch (error) {
+      console.error('Delete sender rule error:', error);
+      return ResponseUtil.error(res, 'Failed to delete sender rule', error);
+    }
+  };
+}
+
+export const {
+  getSenderRules,
+  getSenderRuleById,
+  createSenderRule,
+  updateSenderRule,
+  deleteSenderRule
+} = SenderRuleController;
@@ -0,0 +1,44 @@
+import jwt from 'jsonwebtoken';
+import tokenService from '../services/tokenService.js';
+import ResponseUtil from '../utils/responseUtil.js';
+
+const extractBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token.trim() : null;
+};
+
+export const requireAdmin = async (req, res, next) => {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return ResponseUtil.unauthorized(res, 'Authentication token missing');
+  }
+
+  try {
+    const payload = await tokenService.verifyAccessToken(token);
+
+    if (payload.role !== 'admin') {
+      return ResponseUtil.forbidden(res, 'Admin access required');
+    }
+
+    req.admin = {
+      username: payload.sub,
+      role: payload.role,
+      token: payload
+    };
+
+    next();
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return ResponseUtil.unauthorized(res, 'Authentication token expired');
+    }
+
+    if (error instanceof jwt.JsonWebTokenError) {
+      return ResponseUtil.unauthorized(res, 'Invalid authentication token');
+    }
+
+    console.error('Authentication error:', error);
+    return ResponseUtil.error(res, 'Failed to authenticate request', error);
+  }
+};
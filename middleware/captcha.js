@@ -0,0 +1,59 @@
+import captchaConfig from '../config/captcha.js';
+import captchaService from '../services/captcha/captchaService.js';
+
+const captchaFailure = (res, statusCode, message, code, details = {}) => {
+  return res.status(statusCode).json({
+    success: false,
+    message,
+    errors: [{ field: captchaConfig.tokenField, code, ...details }],
+    timestamp: new Date().toISOString()
+  });
+};
+
+export const verifyCaptcha = async (req, res, next) => {
+  if (!captchaService.isEnabled) {
+    return next();
+  }
+
+  const token = req.body?.[captchaConfig.tokenField] || req.get(captchaConfig.tokenHeader);
+
+  if (!token || typeof token !== 'string') {
+    return captchaFailure(res, 400, 'CAPTCHA verification is required', 'missing-input-response');
+  }
+
+  try {
+    const result = await captchaService.verify(token, req.ip);
+    req.captcha = result;
+
+    if (!result.passed) {
+      console.warn('CAPTCHA verification failed:', {
+        provider: result.provider,
+        reasons: result.reasons,
+        score: result.score,
+        ip: req.ip
+      });
+
+      return captchaFailure(res, 403, 'CAPTCHA verification failed, please try again', result.reasons[0], {
+        reasons: result.reasons,
+        ...(result.score !== null && { score: result.score, threshold: result.threshold })
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('CAPTCHA verification error:', error.message);
+
+    if (captchaConfig.failOpen) {
+      req.captcha = {
+        provider: captchaConfig.provider,
+        passed: false,
+        skipped: true,
+        reasons: ['provider-unavailable'],
+        verifiedAt: new Date()
+      };
+      return next();
+    }
+
+    return captchaFailure(res, 503, 'CAPTCHA verification is temporarily unavailable, please try again later', 'provider-unavailable');
+  }
+};
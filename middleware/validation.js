@@ -1,4 +1,9 @@
 import validator from 'validator';
+import emailQualityConfig from '../config/emailQuality.js';
+import { ERASURE_MODES } from '../config/privacy.js';
+import { checkEmailQuality } from '../services/emailQuality.js';
+import { STATUS_ACTIONS, CONTACT_STATUSES } from '../services/contactWorkflow.js';
+import { BULK_ACTIONS, bulkActionNames, MAX_BULK_IDS } from '../services/contactBulk.js';
 
 export const validateContact = (req, res, next) => {
   const { name, email, subject, message } = req.body;
@@ -49,4 +54,204 @@ export const validateContact = (req, res, next) => {
   req.body.message = validator.escape(message);
 
   next();
-};
\ No newline at end of file
+};
+
+export const validateReply = (req, res, next) => {
+  const { message, subject } = req.body || {};
+
+  if (!message || typeof message !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Reply message is required'
+    });
+  }
+
+  if (!validator.isLength(message.trim(), { min: 1, max: 2000 })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reply message must be between 1 and 2000 characters'
+    });
+  }
+
+  if (subject !== undefined && (typeof subject !== 'string' || !validator.isLength(subject.trim(), { min: 1, max: 200 }))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reply subject must be between 1 and 200 characters'
+    });
+  }
+
+  next();
+};
+
+
+export const validateStatusChange = (req, res, next) => {
+  const { status, action, note } = req.body || {};
+
+  if (!status && !action) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide a target status or a workflow action'
+    });
+  }
+
+  if (status !== undefined && !CONTACT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Status must be one of: ${CONTACT_STATUSES.join(', ')}`
+    });
+  }
+
+  if (action !== undefined && !STATUS_ACTIONS[action]) {
+    return res.status(400).json({
+      success: false,
+      message: `Action must be one of: ${Object.keys(STATUS_ACTIONS).join(', ')}`
+    });
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || !validator.isLength(note.trim(), { max: 500 }))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Note must be a string of at most 500 characters'
+    });
+  }
+
+  next();
+};
+
+export const validateBulkAction = (req, res, next) => {
+  const { action, value, ids, filter, dryRun } = req.body || {};
+
+  if (!BULK_ACTIONS[action]) {
+    return res.status(400).json({
+      success: false,
+      message: `Action must be one of: ${bulkActionNames.join(', ')}`
+    });
+  }
+
+  if ((ids === undefined) === (filter === undefined)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide either a list of ids or a filter'
+    });
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS) {
+      return res.status(400).json({
+        success: false,
+        message: `ids must be a list of 1 to ${MAX_BULK_IDS} contact ids`
+      });
+    }
+
+    const invalidIds = ids.filter(id => typeof id !== 'string' || !validator.isMongoId(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid contact ids',
+        errors: invalidIds.slice(0, 20).map(id => ({ field: 'ids', value: id, message: 'Invalid contact id' }))
+      });
+    }
+  }
+
+  if (filter !== undefined && (typeof filter !== 'object' || filter === null || Array.isArray(filter))) {
+    return res.status(400).json({
+      success: false,
+      message: 'filter must be an object of listing query parameters'
+    });
+  }
+
+  const valid = BULK_ACTIONS[action].validate(value);
+  if (valid !== true) {
+    return res.status(400).json({
+      success: false,
+      message: valid
+    });
+  }
+
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'dryRun must be a boolean'
+    });
+  }
+
+  next();
+};
+
+export const validateDataSubjectRequest = (req, res, next) => {
+  const { email } = req.body || {};
+
+  if (!email || typeof email !== 'string' || !validator.isEmail(email.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid email address'
+    });
+  }
+
+  next();
+};
+
+export const validateErasure = (req, res, next) => {
+  const { token, mode = 'delete' } = req.body || {};
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification token is required'
+    });
+  }
+
+  if (!ERASURE_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      message: `Mode must be one of: ${ERASURE_MODES.join(', ')}`
+    });
+  }
+
+  req.body.mode = mode;
+  next();
+};
+
+export const validateEmailQuality = async (req, res, next) => {
+  try {
+    const quality = await checkEmailQuality(req.body.email);
+    req.emailQuality = quality;
+
+    if (quality.verdict === 'disposable' && emailQualityConfig.rejectDisposable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please use a permanent email address so I can reply to you',
+        errors: [{ field: 'email', code: 'email_disposable', message: 'Disposable email addresses are not accepted' }]
+      });
+    }
+
+    const typoConfirmed = [true, 'true'].includes(req.body[emailQualityConfig.typoOverrideField]);
+
+    if (quality.verdict === 'typo' && emailQualityConfig.rejectTypos && !typoConfirmed) {
+      return res.status(400).json({
+        success: false,
+        message: `Did you mean ${quality.suggestion}?`,
+        errors: [{
+          field: 'email',
+          code: 'email_typo',
+          message: `The email domain looks misspelled - did you mean ${quality.suggestion}?`,
+          suggestion: quality.suggestion
+        }]
+      });
+    }
+
+    if (quality.verdict === 'no_mx' && emailQualityConfig.rejectNoMx) {
+      return res.status(400).json({
+        success: false,
+        message: 'The email domain does not accept mail',
+        errors: [{ field: 'email', code: 'email_no_mx', message: `${quality.domain} has no mail servers` }]
+      });
+    }
+
+    next();
+  } catch (error) {
+    // Quality checks are advisory - never block a submission because one failed
+    console.error('Email quality check error:', error.message);
+    next();
+  }
+};
@@ -1,4 +1,129 @@
 import mongoose from 'mongoose';
+import { lookupGeo } from '../services/geoip.js';
+import { isStoredIP } from '../services/clientPrivacy.js';
+import { CONTACT_STATUSES, resolveTransition } from '../services/contactWorkflow.js';
+import { encryptedFieldsPlugin } from './plugins/encryptedFields.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
+import { isEncrypted } from '../utils/fieldEncryption.js';
+
+const threadMessageSchema = new mongoose.Schema({
+  direction: {
+    type: String,
+    enum: {
+      values: ['outbound', 'inbound'],
+      message: 'Direction must be either outbound or inbound'
+    },
+    default: 'outbound'
+  },
+  author: {
+    type: String,
+    required: [true, 'Message author is required'],
+    trim: true,
+    maxlength: [100, 'Author cannot exceed 100 characters']
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    trim: true,
+    maxlength: [2000, 'Message body cannot exceed 2000 characters']
+  },
+  delivery: {
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'sent', 'failed'],
+        message: 'Delivery status must be either pending, sent, or failed'
+      },
+      default: 'pending'
+    },
+    messageId: {
+      type: String,
+      trim: true
+    },
+    error: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Delivery error cannot exceed 500 characters']
+    },
+    attemptedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: {
+      values: CONTACT_STATUSES,
+      message: 'Unknown previous status'
+    }
+  },
+  to: {
+    type: String,
+    required: true,
+    enum: {
+      values: CONTACT_STATUSES,
+      message: 'Unknown status'
+    }
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  actor: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Actor cannot exceed 100 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const escalationSchema = new mongoose.Schema({
+  // Multiple of the priority SLA target that was crossed
+  threshold: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  deadlineAt: {
+    type: Date,
+    required: true
+  },
+  escalatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notified: {
+    type: Boolean,
+    default: true
+  },
+  outboxIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailOutbox'
+  }]
+}, {
+  _id: false
+});
 
 const contactSchema = new mongoose.Schema({
   name: {
@@ -18,7 +143,8 @@ const contactSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Email is required'],
     trim: true,
-    lowercase: true,
+    // Not `lowercase: true` - setters also run on query and update casting and would corrupt ciphertext
+    set: email => (typeof email === 'string' && !isEncrypted(email) ? email.toLowerCase() : email),
     validate: {
       validator: function(email) {
         return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
@@ -63,29 +189,80 @@ const contactSchema = new mongoose.Schema({
       message: 'Message contains invalid content'
     }
   },
+  emailQuality: {
+    verdict: {
+      type: String,
+      enum: {
+        values: ['ok', 'disposable', 'typo', 'no_mx'],
+        message: 'Email quality verdict must be either ok, disposable, typo, or no_mx'
+      }
+    },
+    suggestion: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    mx: {
+      type: Boolean
+    },
+    checkedAt: {
+      type: Date
+    }
+  },
   status: {
     type: String,
     enum: {
-      values: ['new', 'read', 'replied', 'archived'],
-      message: 'Status must be either new, read, replied, or archived'
+      values: CONTACT_STATUSES,
+      message: 'Status must be either new, read, replied, archived, or spam'
     },
     default: 'new',
     index: true
   },
+  statusHistory: [statusChangeSchema],
+  escalations: [escalationSchema],
   ipAddress: {
     type: String,
     trim: true,
     maxlength: [45, 'IP address too long'],
     validate: {
+      // Full address, truncated network or salted hash, depending on PRIVACY_IP_MODE
       validator: function(ip) {
-        if (!ip || ip === 'unknown' || ip === '::1' || ip === '127.0.0.1') {
-          return true;
-        }
-        const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-        const ipv6Regex = /^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-        return ipv4Regex.test(ip) || ipv6Regex.test(ip);
+        return !ip || ip === 'unknown' || isStoredIP(ip);
       },
-      message: 'Please provide a valid IPv4 or IPv6 address'
+      message: 'Please provide a valid IP address, truncated network or IP hash'
+    }
+  },
+  geo: {
+    country: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: [2, 'Country must be an ISO 3166-1 alpha-2 code']
+    },
+    region: {
+      type: String,
+      trim: true,
+      maxlength: [10, 'Region code too long']
+    },
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'City name too long']
+    },
+    timezone: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Timezone too long']
+    },
+    source: {
+      type: String,
+      enum: {
+        values: ['geoip-lite', 'private', 'invalid', 'not-found', 'unavailable'],
+        message: 'Unknown geo lookup source'
+      }
+    },
+    lookedUpAt: {
+      type: Date
     }
   },
   userAgent: {
@@ -122,6 +299,29 @@ const contactSchema = new mongoose.Schema({
       maxlength: [2000, 'Response message cannot exceed 2000 characters']
     }
   },
+  thread: [threadMessageSchema],
+  spam: {
+    score: {
+      type: Number,
+      default: 0
+    },
+    reasons: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Spam reason cannot exceed 200 characters']
+    }],
+    checkedAt: {
+      type: Date
+    },
+    releasedAt: {
+      type: Date
+    },
+    releasedBy: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Released by cannot exceed 100 characters']
+    }
+  },
   source: {
     type: String,
     enum: {
@@ -130,6 +330,27 @@ const contactSchema = new mongoose.Schema({
     },
     default: 'website'
   },
+  fingerprint: {
+    type: String,
+    trim: true
+  },
+  // Fingerprint plus duplicate-window bucket; the unique index stops concurrent double submissions
+  dedupeKey: {
+    type: String,
+    trim: true
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastDuplicateAt: {
+    type: Date
+  },
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
   metadata: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -189,6 +410,10 @@ contactSchema.index({ status: 1, createdAt: -1 });
 contactSchema.index({ createdAt: -1 });
 contactSchema.index({ priority: 1, status: 1 });
 contactSchema.index({ tags: 1 });
+contactSchema.index({ 'geo.country': 1, createdAt: -1 });
+contactSchema.index({ 'emailQuality.verdict': 1, createdAt: -1 });
+contactSchema.index({ fingerprint: 1, createdAt: -1 });
+contactSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
 contactSchema.index({ 
   name: 'text', 
   email: 'text', 
@@ -203,13 +428,31 @@ contactSchema.pre('save', function(next) {
   if (this.subject) this.subject = this.subject.trim();
   if (this.message) this.message = this.message.trim();
   
-  this.tags = this.extractTags();
-  this.priority = this.determinePriority();
+  // Derive tags and priority once so later triage edits are not overwritten
+  if (this.isNew) {
+    this.tags = [...new Set([...(this.tags || []), ...this.extractTags()])];
+    this.priority = this.determinePriority();
+  }
   
   next();
 });
 
+contactSchema.pre('save', async function() {
+  if (this.isNew && this.ipAddress && !this.geo?.lookedUpAt) {
+    this.geo = await lookupGeo(this.ipAddress);
+  }
+});
+
 contactSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      action: 'create',
+      actor: this.source === 'admin' ? 'import' : 'system',
+      timestamp: this.createdAt || new Date()
+    });
+  }
+
   if (this.isModified('status') && this.status === 'replied' && !this.response.repliedAt) {
     this.response.repliedAt = new Date();
   }
@@ -262,13 +505,32 @@ contactSchema.methods.determinePriority = function() {
   return 'normal';
 };
 
-contactSchema.methods.markAsRead = function() {
-  this.status = 'read';
+/**
+ * Move the contact through the status workflow and record the change.
+ * Throws StatusTransitionError for moves the workflow does not allow.
+ */
+contactSchema.methods.transitionStatus = function({ action, status, actor = 'system', note } = {}) {
+  const transition = resolveTransition(this.status, { action, status });
+
+  this.status = transition.to;
+  this.statusHistory.push({
+    from: transition.from,
+    to: transition.to,
+    action: transition.action,
+    actor,
+    ...(note && { note })
+  });
+
+  return transition;
+};
+
+contactSchema.methods.markAsRead = function(actor = 'Admin') {
+  this.transitionStatus({ action: 'mark_read', actor });
   return this.save();
 };
 
 contactSchema.methods.markAsReplied = function(repliedBy = 'Admin', responseMessage = '') {
-  this.status = 'replied';
+  this.transitionStatus({ action: 'reply', actor: repliedBy });
   this.response = {
     repliedAt: new Date(),
     repliedBy: repliedBy,
@@ -277,6 +539,18 @@ contactSchema.methods.markAsReplied = function(repliedBy = 'Admin', responseMess
   return this.save();
 };
 
+contactSchema.methods.addThreadMessage = function({ author, subject, body, direction = 'outbound' }) {
+  this.thread.push({ author, subject, body, direction });
+  return this.thread[this.thread.length - 1];
+};
+
+contactSchema.methods.releaseFromSpam = function(releasedBy = 'Admin') {
+  this.transitionStatus({ action: 'release', actor: releasedBy });
+  this.spam.releasedAt = new Date();
+  this.spam.releasedBy = releasedBy;
+  return this.save();
+};
+
 contactSchema.methods.getSummary = function() {
   const messagePreview = this.message.length > 100 
     ? this.message.substring(0, 100) + '...' 
@@ -291,7 +565,8 @@ contactSchema.methods.getSummary = function() {
     status: this.status,
     priority: this.priority,
     createdAt: this.createdAt,
-    isNew: this.isNewMessage
+    isNew: this.isNewMessage,
+    duplicateCount: this.duplicateCount
   };
 };
 
@@ -300,29 +575,162 @@ contactSchema.statics.findByStatus = function(status) {
   return this.find({ status }).sort({ createdAt: -1 });
 };
 
-contactSchema.statics.findUrgent = function() {
-  return this.find({ 
-    $or: [
-      { priority: 'urgent' },
-      { priority: 'high', status: 'new' }
-    ]
-  }).sort({ createdAt: -1 });
+/**
+ * Contacts still waiting for a reply past their per-priority deadline.
+ * `targets` maps priority to milliseconds; `multiplier` scales every target.
+ */
+contactSchema.statics.findUrgent = function(targets, { multiplier = 1, now = new Date() } = {}) {
+  return this.find({
+    $or: Object.entries(targets).map(([priority, target]) => ({
+      priority,
+      createdAt: { $lte: new Date(now.getTime() - target * multiplier) }
+    })),
+    'response.repliedAt': null
+  })
+    .requiresResponse()
+    .sort({ createdAt: 1 });
 };
 
-contactSchema.statics.search = function(query) {
-  return this.find({
-    $or: [
-      { name: { $regex: query, $options: 'i' } },
-      { email: { $regex: query, $options: 'i' } },
-      { subject: { $regex: query, $options: 'i' } },
-      { message: { $regex: query, $options: 'i' } },
-      { tags: { $in: [new RegExp(query, 'i')] } }
-    ]
-  }).sort({ createdAt: -1 });
+/**
+ * Find the most recent submission with this fingerprint inside the window and
+ * count the repeat against it. Resolves to null when there is no such submission.
+ * Trashed submissions count too: their dedupeKey still holds the unique index.
+ */
+contactSchema.statics.recordDuplicate = function(fingerprint, windowMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      fingerprint,
+      createdAt: { $gte: new Date(now.getTime() - windowMs) }
+    },
+    {
+      $inc: { duplicateCount: 1 },
+      $set: { lastDuplicateAt: now }
+    },
+    { new: true, sort: { createdAt: -1 } }
+  ).withDeleted();
 };
 
-contactSchema.statics.getStatistics = async function() {
+/**
+ * Text-index search ordered by relevance (textScore, then _id) with keyset paging via `after`.
+ * Without a text query the results are filtered only and ordered newest first.
+ * `fields` limits the returned paths (score and _id are always kept).
+ */
+contactSchema.statics.search = function(text, { filter = {}, limit = 20, after = null, fields = null } = {}) {
+  const pipeline = [];
+
+  if (text) {
+    pipeline.push(
+      { $match: { $text: { $search: text }, ...filter } },
+      { $addFields: { score: { $meta: 'textScore' } } }
+    );
+
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { score: { $lt: after.value } },
+            { score: after.value, _id: { $lt: after.id } }
+          ]
+        }
+      });
+    }
+
+    pipeline.push({ $sort: { score: -1, _id: -1 } });
+  } else {
+    pipeline.push({ $match: filter });
+
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { createdAt: { $lt: after.value } },
+            { createdAt: after.value, _id: { $lt: after.id } }
+          ]
+        }
+      });
+    }
+
+    pipeline.push({ $sort: { createdAt: -1, _id: -1 } });
+  }
+
+  pipeline.push({ $limit: limit });
+
+  if (fields) {
+    pipeline.push({ $project: Object.fromEntries([...fields, ...(text ? ['score'] : [])].map(field => [field, 1])) });
+  }
+
+  return this.aggregate(pipeline);
+};
+
+const firstTimestamp = (array, condition, field) => ({
+  $min: {
+    $map: {
+      input: { $filter: { input: { $ifNull: [array, []] }, as: 'item', cond: condition } },
+      as: 'item',
+      in: field
+    }
+  }
+});
+
+/**
+ * Analytics over contacts created in [from, to), spam excluded.
+ * Durations are in milliseconds; `slaTargets` maps priority to a target time to first reply.
+ */
+contactSchema.statics.getStatistics = async function({
+  from,
+  to = new Date(),
+  groupBy = 'day',
+  timezone = 'UTC',
+  slaTargets = {}
+} = {}) {
+  const firstReplyAt = {
+    $min: [
+      firstTimestamp('$statusHistory', { $eq: ['$$item.action', 'reply'] }, '$$item.timestamp'),
+      firstTimestamp('$thread', { $eq: ['$$item.direction', 'outbound'] }, '$$item.createdAt'),
+      '$response.repliedAt'
+    ]
+  };
+
   const stats = await this.aggregate([
+    {
+      $match: {
+        createdAt: { ...(from && { $gte: from }), $lt: to },
+        status: { $ne: 'spam' }
+      }
+    },
+    { $addFields: { firstReplyAt } },
+    {
+      $addFields: {
+        // Any move out of "new" counts as read; a reply implies the message was read
+        firstReadAt: {
+          $min: [
+            firstTimestamp('$statusHistory', {
+              $and: [{ $eq: ['$$item.from', 'new'] }, { $ne: ['$$item.action', 'create'] }]
+            }, '$$item.timestamp'),
+            '$firstReplyAt'
+          ]
+        },
+        slaTarget: Object.keys(slaTargets).length > 0
+          ? {
+            $switch: {
+              branches: Object.entries(slaTargets).map(([priority, target]) => ({
+                case: { $eq: ['$priority', priority] },
+                then: target
+              })),
+              default: null
+            }
+          }
+          : null
+      }
+    },
+    {
+      $addFields: {
+        readMs: { $cond: ['$firstReadAt', { $subtract: ['$firstReadAt', '$createdAt'] }, '$$REMOVE'] },
+        replyMs: { $cond: ['$firstReplyAt', { $subtract: ['$firstReplyAt', '$createdAt'] }, '$$REMOVE'] }
+      }
+    },
     {
       $facet: {
         statusCounts: [
@@ -331,51 +739,145 @@ contactSchema.statics.getStatistics = async function() {
         priorityCounts: [
           { $group: { _id: '$priority', count: { $sum: 1 } } }
         ],
-        dailyStats: [
+        sourceCounts: [
+          { $group: { _id: '$source', count: { $sum: 1 } } }
+        ],
+        timeline: [
           {
             $group: {
-              _id: {
-                $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
-              },
-              count: { $sum: 1 }
+              _id: { $dateTrunc: { date: '$createdAt', unit: groupBy, timezone, startOfWeek: 'monday' } },
+              count: { $sum: 1 },
+              replied: { $sum: { $cond: ['$firstReplyAt', 1, 0] } }
             }
           },
-          { $sort: { _id: -1 } },
-          { $limit: 30 }
+          { $sort: { _id: 1 } }
+        ],
+        responseTimes: [
+          {
+            $group: {
+              _id: '$priority',
+              readTimes: { $push: '$readMs' },
+              replyTimes: { $push: '$replyMs' }
+            }
+          }
+        ],
+        sla: [
+          { $match: { slaTarget: { $ne: null } } },
+          {
+            $group: {
+              _id: '$priority',
+              target: { $first: '$slaTarget' },
+              total: { $sum: 1 },
+              met: { $sum: { $cond: [{ $and: ['$firstReplyAt', { $lte: ['$replyMs', '$slaTarget'] }] }, 1, 0] } },
+              breached: {
+                $sum: {
+                  $cond: [
+                    {
+                      $or: [
+                        { $gt: ['$replyMs', '$slaTarget'] },
+                        {
+                          $and: [
+                            { $not: ['$firstReplyAt'] },
+                            { $in: ['$status', ['new', 'read']] },
+                            { $gt: [{ $subtract: ['$$NOW', '$createdAt'] }, '$slaTarget'] }
+                          ]
+                        }
+                      ]
+                    },
+                    1,
+                    0
+                  ]
+                }
+              }
+            }
+          }
         ],
         tagStats: [
           { $unwind: '$tags' },
           { $group: { _id: '$tags', count: { $sum: 1 } } },
           { $sort: { count: -1 } },
           { $limit: 10 }
+        ],
+        countries: [
+          {
+            $group: {
+              _id: { $ifNull: ['$geo.country', 'unknown'] },
+              count: { $sum: 1 },
+              lastSubmissionAt: { $max: '$createdAt' }
+            }
+          },
+          { $sort: { count: -1 } },
+          { $limit: 25 }
+        ],
+        timezones: [
+          { $match: { 'geo.timezone': { $exists: true } } },
+          { $group: { _id: '$geo.timezone', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 10 }
         ]
       }
     }
   ]);
 
-  return stats[0] || {
-    statusCounts: [],
-    priorityCounts: [],
-    dailyStats: [],
-    tagStats: []
-  };
+  return stats[0];
 };
 
-contactSchema.statics.cleanupOldMessages = async function() {
-  const oneYearAgo = new Date();
-  oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-  
-  const result = await this.deleteMany({
-    status: 'archived',
-    createdAt: { $lt: oneYearAgo }
-  });
-  
-  return result;
+/**
+ * Open contacts bucketed by age - a snapshot of the current backlog
+ */
+contactSchema.statics.getBacklogAges = function(boundaries) {
+  return this.aggregate([
+    { $match: { status: { $in: ['new', 'read'] } } },
+    {
+      $bucket: {
+        groupBy: { $subtract: ['$$NOW', '$createdAt'] },
+        boundaries: [0, ...boundaries],
+        default: 'older',
+        output: {
+          count: { $sum: 1 },
+          oldest: { $min: '$createdAt' }
+        }
+      }
+    }
+  ]);
+};
+
+/**
+ * Strip personal data from matching contacts while keeping the record for
+ * statistics (status, priority, source, tags, country, timestamps). Trashed
+ * contacts are included.
+ */
+contactSchema.statics.anonymizeMany = function(filter, now = new Date()) {
+  return this.updateMany(
+    { ...filter, anonymizedAt: null },
+    {
+      $set: {
+        name: 'Anonymized',
+        email: 'anonymized@anonymized.invalid',
+        subject: '[removed]',
+        message: '[Message removed for privacy]',
+        thread: [],
+        metadata: {},
+        anonymizedAt: now
+      },
+      $unset: {
+        ipAddress: 1,
+        userAgent: 1,
+        'geo.region': 1,
+        'geo.city': 1,
+        'emailQuality.suggestion': 1,
+        'response.responseMessage': 1,
+        'spam.reasons': 1,
+        fingerprint: 1,
+        dedupeKey: 1
+      }
+    }
+  ).withDeleted();
 };
 
 // Query helpers
 contactSchema.query.active = function() {
-  return this.where({ status: { $ne: 'archived' } });
+  return this.where({ status: { $nin: ['archived', 'spam'] } });
 };
 
 contactSchema.query.newMessages = function() {
@@ -386,6 +888,11 @@ contactSchema.query.requiresResponse = function() {
   return this.where({ status: { $in: ['new', 'read'] } });
 };
 
+contactSchema.plugin(softDeletePlugin);
+
+// Registered last so its save hook encrypts the values the hooks above have normalized
+contactSchema.plugin(encryptedFieldsPlugin);
+
 const Contact = mongoose.model('Contact', contactSchema);
 
 export default Contact;
\ No newline at end of file
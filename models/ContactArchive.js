@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import { encryptedFieldsPlugin } from './plugins/encryptedFields.js';
+
+/**
+ * Cold storage for contacts moved out by a retention policy. Documents keep
+ * their original shape and _id, plus when and why they were archived.
+ */
+const contactArchiveSchema = new mongoose.Schema({
+  archivedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  retentionPolicy: {
+    type: String,
+    trim: true
+  },
+  retentionRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RetentionRun'
+  }
+}, {
+  strict: false,
+  collection: 'contact_archive'
+});
+
+contactArchiveSchema.plugin(encryptedFieldsPlugin);
+
+const ContactArchive = mongoose.model('ContactArchive', contactArchiveSchema);
+
+export default ContactArchive;
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+export const REQUEST_STATUSES = ['pending', 'verified', 'completed', 'expired'];
+export const REQUEST_LOG_ACTIONS = ['requested', 'verification_sent', 'resend_throttled', 'verified', 'exported', 'deleted', 'anonymized', 'expired'];
+
+const logEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: REQUEST_LOG_ACTIONS
+  },
+  actor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Actor cannot exceed 100 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  detail: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+/**
+ * A data-subject access or erasure request (GDPR / DPDP), identified by email address.
+ * The log records every step so the handling of each request can be demonstrated.
+ */
+const dataSubjectRequestSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: REQUEST_STATUSES,
+      message: 'Status must be either pending, verified, completed, or expired'
+    },
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  verifiedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  outcome: {
+    action: {
+      type: String,
+      enum: ['delete', 'anonymize']
+    },
+    contacts: Number,
+    archived: Number,
+    outbox: Number
+  },
+  log: [logEntrySchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+dataSubjectRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Instance methods
+dataSubjectRequestSchema.methods.logAction = function(action, { actor = 'subject', ipAddress, userAgent, detail } = {}) {
+  this.log.push({ action, actor, ipAddress, userAgent, detail, timestamp: new Date() });
+  return this;
+};
+
+dataSubjectRequestSchema.methods.isOpen = function(now = new Date()) {
+  return ['pending', 'verified'].includes(this.status) && this.expiresAt > now;
+};
+
+// Static methods
+/**
+ * Close open requests whose verification link has expired
+ */
+dataSubjectRequestSchema.statics.expireStale = function(now = new Date()) {
+  return this.updateMany(
+    { status: { $in: ['pending', 'verified'] }, expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired' },
+      $push: { log: { action: 'expired', actor: 'system', timestamp: now } }
+    }
+  );
+};
+
+const DataSubjectRequest = mongoose.model('DataSubjectRequest', dataSubjectRequestSchema);
+
+export default DataSubjectRequest;
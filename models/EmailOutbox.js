@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import { encryptedFieldsPlugin } from './plugins/encryptedFields.js';
+
+// Queued mail repeats the visitor's address and message, so it is encrypted like the contact.
+// The recipient keeps a blind index for exact lookups (data subject erasure).
+export const OUTBOX_ENCRYPTION = {
+  fields: ['message.to', 'message.toName', 'message.replyTo.name', 'message.replyTo.email', 'message.subject', 'message.html', 'message.text'],
+  blindIndexes: { 'message.to': 'recipientHash' }
+};
+
+const addressSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const emailOutboxSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Email type is required'],
+    trim: true,
+    maxlength: [50, 'Email type cannot exceed 50 characters'],
+    index: true
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    index: true
+  },
+  threadMessageId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  message: {
+    from: addressSchema,
+    to: {
+      type: String,
+      required: [true, 'Recipient is required'],
+      trim: true
+    },
+    toName: {
+      type: String,
+      trim: true
+    },
+    replyTo: addressSchema,
+    subject: {
+      type: String,
+      required: [true, 'Subject is required']
+    },
+    html: {
+      type: String
+    },
+    text: {
+      type: String
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'sending', 'sent', 'failed', 'dead'],
+      message: 'Status must be either pending, sending, sent, failed, or dead'
+    },
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String,
+    maxlength: [1000, 'Error cannot exceed 1000 characters']
+  },
+  errorHistory: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    at: Date
+  }],
+  provider: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, createdAt: -1 });
+
+// Static methods
+/**
+ * Atomically claim the next due entry so concurrent workers never send it twice.
+ * Entries stuck in `sending` past the lock timeout are treated as abandoned.
+ */
+emailOutboxSchema.statics.claimNext = function(lockTimeoutMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+emailOutboxSchema.plugin(encryptedFieldsPlugin, OUTBOX_ENCRYPTION);
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+export default EmailOutbox;
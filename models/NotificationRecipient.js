@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+
+const notificationRecipientSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Email cannot exceed 254 characters'],
+    validate: {
+      validator: value => validator.isEmail(value),
+      message: 'Please provide a valid email address'
+    }
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // instant: one email per submission; digest: periodic summary only; both: each of them
+  mode: {
+    type: String,
+    enum: {
+      values: ['instant', 'digest', 'both'],
+      message: 'Mode must be either instant, digest, or both'
+    },
+    default: 'instant'
+  },
+  digestFrequency: {
+    type: String,
+    enum: {
+      values: ['daily', 'weekly'],
+      message: 'Digest frequency must be either daily or weekly'
+    },
+    default: 'daily'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // End of the last digest period delivered to this recipient
+  lastDigestPeriodEnd: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Created by cannot exceed 100 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+notificationRecipientSchema.index({ email: 1 }, { unique: true });
+notificationRecipientSchema.index({ active: 1, mode: 1, digestFrequency: 1 });
+
+// Static methods
+
+/**
+ * Addresses that want one email per submission. Until any recipient is
+ * configured the single fallback address keeps the original behaviour.
+ */
+notificationRecipientSchema.statics.instantAddresses = async function(fallbackEmail) {
+  const recipients = await this.find().instant().select('email name');
+
+  if (recipients.length === 0 && fallbackEmail && !(await this.exists({}))) {
+    return [{ email: fallbackEmail }];
+  }
+
+  return recipients.map(({ email, name }) => ({ email, name }));
+};
+
+// Query helpers
+notificationRecipientSchema.query.instant = function() {
+  return this.where({ active: true, mode: { $in: ['instant', 'both'] } });
+};
+
+notificationRecipientSchema.query.digest = function(frequency) {
+  return this.where({ active: true, mode: { $in: ['digest', 'both'] }, digestFrequency: frequency });
+};
+
+const NotificationRecipient = mongoose.model('NotificationRecipient', notificationRecipientSchema);
+
+export default NotificationRecipient;
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+const policyResultSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['delete', 'anonymize', 'archive'],
+      message: 'Action must be either delete, anonymize, or archive'
+    }
+  },
+  status: String,
+  source: String,
+  maxAgeDays: Number,
+  cutoff: Date,
+  matched: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    maxlength: [500, 'Error cannot exceed 500 characters']
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Summary of one retention run, kept as evidence of what was purged and when
+ */
+const retentionRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: {
+      values: ['schedule', 'manual'],
+      message: 'Trigger must be either schedule or manual'
+    },
+    required: true
+  },
+  actor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Actor cannot exceed 100 characters']
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['running', 'completed', 'failed'],
+      message: 'Status must be either running, completed, or failed'
+    },
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  policies: [policyResultSchema],
+  totals: {
+    matched: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    maxlength: [500, 'Error cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+retentionRunSchema.index({ startedAt: -1 });
+
+const RetentionRun = mongoose.model('RetentionRun', retentionRunSchema);
+
+export default RetentionRun;
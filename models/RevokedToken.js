@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['access', 'refresh'],
+      message: 'Token type must be either access or refresh'
+    },
+    required: true
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reason cannot exceed 100 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Revocation records are only needed until the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  const record = await this.exists({ jti });
+  return !!record;
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
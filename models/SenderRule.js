@@ -0,0 +1,124 @@
+import net from 'net';
+import mongoose from 'mongoose';
+import validator from 'validator';
+import { normalizeIP } from '../services/geoip.js';
+import { HASHED_IP_PATTERN } from '../services/clientPrivacy.js';
+
+export const parseCidr = (value) => {
+  const [address, prefixText, ...rest] = String(value).split('/');
+  const family = net.isIP(address);
+  const prefix = Number(prefixText);
+  const maxPrefix = family === 4 ? 32 : 128;
+
+  if (!family || rest.length > 0 || prefixText === undefined || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return null;
+  }
+
+  return { address, prefix, type: family === 4 ? 'ipv4' : 'ipv6' };
+};
+
+const valueValidators = {
+  email: value => validator.isEmail(value),
+  domain: value => validator.isFQDN(value),
+  // A raw address, or the salted hash stored for a contact under PRIVACY_IP_MODE=hash
+  ip: value => net.isIP(value) !== 0 || HASHED_IP_PATTERN.test(value),
+  cidr: value => parseCidr(value) !== null
+};
+
+const senderRuleSchema = new mongoose.Schema({
+  list: {
+    type: String,
+    required: [true, 'List is required'],
+    enum: {
+      values: ['block', 'allow'],
+      message: 'List must be either block or allow'
+    }
+  },
+  type: {
+    type: String,
+    required: [true, 'Rule type is required'],
+    enum: {
+      values: ['email', 'domain', 'ip', 'cidr'],
+      message: 'Rule type must be either email, domain, ip, or cidr'
+    }
+  },
+  value: {
+    type: String,
+    required: [true, 'Rule value is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Rule value cannot exceed 254 characters'],
+    validate: {
+      validator: function(value) {
+        return !valueValidators[this.type] || valueValidators[this.type](value);
+      },
+      message: props => `"${props.value}" is not a valid value for this rule type`
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Created by cannot exceed 100 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// Virtuals
+senderRuleSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+// Indexes
+senderRuleSchema.index({ list: 1, type: 1, value: 1 }, { unique: true });
+senderRuleSchema.index({ type: 1, value: 1 });
+
+// Pre-validate middleware
+senderRuleSchema.pre('validate', function(next) {
+  if (this.type === 'ip' && this.value) {
+    this.value = normalizeIP(this.value);
+  }
+  next();
+});
+
+// Query helpers
+// Wrapped in $and: a bare $or would be merged into an $or already on the query
+senderRuleSchema.query.active = function(now = new Date()) {
+  return this.where({
+    $and: [{
+      $or: [
+        { expiresAt: null },
+        { expiresAt: { $gt: now } }
+      ]
+    }]
+  });
+};
+
+const SenderRule = mongoose.model('SenderRule', senderRuleSchema);
+
+export default SenderRule;
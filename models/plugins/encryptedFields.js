@@ -0,0 +1,264 @@
+import mongoose from 'mongoose';
+import encryptionConfig, { BLIND_INDEXES, ENCRYPTABLE_FIELDS, isEncryptionEnabled } from '../../config/encryption.js';
+import { isEncrypted, encryptValue, decryptValue, blindIndex } from '../../utils/fieldEncryption.js';
+
+const FILTER_HOOKS = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'updateOne', 'updateMany', 'replaceOne',
+  'deleteOne', 'deleteMany',
+  'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'
+];
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const RESULT_HOOKS = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'];
+
+const safeDecrypt = (value, field) => {
+  try {
+    return decryptValue(value);
+  } catch (error) {
+    console.error(`Failed to decrypt ${field}:`, error.message);
+    return value;
+  }
+};
+
+const isPlainValue = (value) => typeof value === 'string' && value !== '';
+
+/**
+ * Read a possibly nested path from a raw document. Update operators use literal
+ * dotted keys (`{ 'message.to': ... }`), so those are checked first.
+ */
+export const getPath = (doc, path) => (
+  path in doc ? doc[path] : path.split('.').reduce((value, key) => value?.[key], doc)
+);
+
+const setPath = (doc, path, value) => {
+  if (path in doc || !path.includes('.')) {
+    doc[path] = value;
+    return;
+  }
+
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => object?.[key], doc);
+  if (parent && typeof parent === 'object') parent[last] = value;
+};
+
+/**
+ * Encryption settings for a schema: the encrypted paths and the blind indexes kept for them.
+ * Contacts default to ENCRYPTED_FIELDS; other schemas pass their own paths.
+ */
+const resolveOptions = ({ fields, blindIndexes } = {}) => {
+  const encrypted = fields || encryptionConfig.fields;
+
+  return {
+    fields: encrypted,
+    // Reads also cover paths dropped from ENCRYPTED_FIELDS (see decryptFields)
+    readable: fields || ENCRYPTABLE_FIELDS,
+    blindIndexes: Object.fromEntries(
+      Object.entries(blindIndexes || BLIND_INDEXES).filter(([field]) => encrypted.includes(field))
+    )
+  };
+};
+
+/**
+ * Encrypt the configured fields of a raw document in place, refreshing blind indexes
+ */
+export const encryptFields = (doc, options) => {
+  const { fields, blindIndexes } = resolveOptions(options);
+
+  fields.forEach(field => {
+    const value = getPath(doc, field);
+    if (!isPlainValue(value)) return;
+
+    if (blindIndexes[field]) {
+      doc[blindIndexes[field]] = blindIndex(safeDecrypt(value, field));
+    }
+    setPath(doc, field, encryptValue(value));
+  });
+  return doc;
+};
+
+/**
+ * Decrypt a raw document in place. Fields dropped from ENCRYPTED_FIELDS are still
+ * decrypted until reencryptContacts.js has written them back as plaintext.
+ */
+export const decryptFields = (doc, options) => {
+  if (!doc || typeof doc !== 'object') return doc;
+
+  resolveOptions(options).readable.forEach(field => {
+    const value = getPath(doc, field);
+    if (isEncrypted(value)) {
+      setPath(doc, field, safeDecrypt(value, field));
+    }
+  });
+  return doc;
+};
+
+/**
+ * Condition on the blind index equivalent to an equality condition on the plaintext field.
+ * Unmigrated plaintext documents keep matching on the field itself. Anything other than
+ * equality (regex, ranges) is left alone and only sees plaintext documents.
+ */
+const blindIndexCondition = (field, hashField, condition) => {
+  const plain = (value) => String(value).trim().toLowerCase();
+
+  if (typeof condition === 'string' || (condition?.$eq !== undefined && Object.keys(condition).length === 1)) {
+    const value = typeof condition === 'string' ? condition : condition.$eq;
+    return { $or: [{ [hashField]: blindIndex(value) }, { [field]: plain(value) }] };
+  }
+
+  if (Array.isArray(condition?.$in) && Object.keys(condition).length === 1) {
+    return {
+      $or: [
+        { [hashField]: { $in: condition.$in.map(blindIndex) } },
+        { [field]: { $in: condition.$in.map(plain) } }
+      ]
+    };
+  }
+
+  if (condition?.$ne !== undefined && Object.keys(condition).length === 1) {
+    return { $nor: [{ [hashField]: blindIndex(condition.$ne) }, { [field]: plain(condition.$ne) }] };
+  }
+
+  if (Array.isArray(condition?.$nin) && Object.keys(condition).length === 1) {
+    return {
+      $nor: [
+        { [hashField]: { $in: condition.$nin.map(blindIndex) } },
+        { [field]: { $in: condition.$nin.map(plain) } }
+      ]
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Rewrite equality conditions on blind-indexed fields to use the index
+ */
+export const rewriteFilter = (filter, options) => {
+  if (!filter || typeof filter !== 'object') return filter;
+
+  const { blindIndexes } = resolveOptions(options);
+  const rewritten = { ...filter };
+
+  ['$and', '$or', '$nor'].forEach(operator => {
+    if (Array.isArray(rewritten[operator])) {
+      rewritten[operator] = rewritten[operator].map(condition => rewriteFilter(condition, options));
+    }
+  });
+
+  Object.entries(blindIndexes)
+    .filter(([field]) => rewritten[field] !== undefined)
+    .forEach(([field, hashField]) => {
+      const condition = blindIndexCondition(field, hashField, rewritten[field]);
+      if (!condition) return;
+
+      delete rewritten[field];
+      rewritten.$and = [...(rewritten.$and || []), condition];
+    });
+
+  return rewritten;
+};
+
+const encryptUpdate = (update, options) => {
+  if (!update || Array.isArray(update)) return update;
+
+  const rewritten = { ...update };
+
+  ['$set', '$setOnInsert'].forEach(operator => {
+    if (rewritten[operator]) rewritten[operator] = encryptFields({ ...rewritten[operator] }, options);
+  });
+
+  if (rewritten.$unset) {
+    rewritten.$unset = { ...rewritten.$unset };
+    Object.entries(resolveOptions(options).blindIndexes).forEach(([field, hashField]) => {
+      if (field in rewritten.$unset) rewritten.$unset[hashField] = 1;
+    });
+  }
+
+  // Bare `{ field: value }` updates are treated as $set by Mongoose
+  return encryptFields(rewritten, options);
+};
+
+/**
+ * Transparent field-level encryption for the fields listed in ENCRYPTED_FIELDS, or for
+ * `options.fields` (dotted paths allowed) with `options.blindIndexes` on other schemas.
+ * Documents hold plaintext in memory and ciphertext in MongoDB; equality lookups on
+ * blind-indexed fields (email) are rewritten to their hash field.
+ */
+export const encryptedFieldsPlugin = (schema, pluginOptions = {}) => {
+  if (!isEncryptionEnabled()) return;
+
+  const options = { fields: pluginOptions.fields, blindIndexes: pluginOptions.blindIndexes };
+  const { fields, readable, blindIndexes } = resolveOptions(options);
+
+  Object.values(blindIndexes).forEach(hashField => {
+    schema.add({ [hashField]: { type: String, index: true, select: false } });
+  });
+
+  schema.pre('save', function(next) {
+    const plaintext = {};
+
+    fields.forEach(field => {
+      const value = this.get(field);
+      if (!isPlainValue(value) || isEncrypted(value) || (!this.isNew && !this.isModified(field))) return;
+
+      plaintext[field] = value;
+      if (blindIndexes[field]) this.set(blindIndexes[field], blindIndex(value));
+      this.set(field, encryptValue(value));
+    });
+
+    this.$locals.plaintext = plaintext;
+    next();
+  });
+
+  schema.post('save', function() {
+    Object.entries(this.$locals.plaintext || {}).forEach(([field, value]) => {
+      this.set(field, value);
+      this.unmarkModified(field);
+    });
+    delete this.$locals.plaintext;
+  });
+
+  schema.post('init', function() {
+    readable.forEach(field => {
+      const value = this.get(field);
+      if (!isEncrypted(value)) return;
+
+      this.set(field, safeDecrypt(value, field));
+      this.unmarkModified(field);
+    });
+  });
+
+  schema.pre(FILTER_HOOKS, function() {
+    this.setQuery(rewriteFilter(this.getFilter(), options));
+  });
+
+  schema.pre(UPDATE_HOOKS, function() {
+    this.setUpdate(encryptUpdate(this.getUpdate(), options));
+  });
+
+  // Hydrated documents are decrypted by the init hook; lean results are plain objects
+  schema.post(RESULT_HOOKS, function(result) {
+    if (!this.mongooseOptions().lean) return;
+    (Array.isArray(result) ? result : [result]).forEach(doc => decryptFields(doc, options));
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+      if (!(doc instanceof mongoose.Document)) encryptFields(doc, options);
+    });
+    next();
+  });
+
+  schema.pre('aggregate', function() {
+    this.pipeline().forEach(stage => {
+      if (stage.$match) stage.$match = rewriteFilter(stage.$match, options);
+    });
+  });
+
+  schema.post('aggregate', function(result) {
+    result.forEach(doc => decryptFields(doc, options));
+  });
+};
+
+export default encryptedFieldsPlugin;
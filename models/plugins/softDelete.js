@@ -0,0 +1,73 @@
+const QUERY_HOOKS = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'updateOne', 'updateMany', 'replaceOne',
+  'deleteOne', 'deleteMany',
+  'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'
+];
+
+const mentionsDeletedAt = (filter) => Boolean(filter) && typeof filter === 'object' && (
+  Object.prototype.hasOwnProperty.call(filter, 'deletedAt') ||
+  ['$and', '$or', '$nor'].some(operator => Array.isArray(filter[operator]) && filter[operator].some(mentionsDeletedAt))
+);
+
+/**
+ * Soft delete: trashed documents carry `deletedAt`/`deletedBy` and are left out of every
+ * query and aggregation unless the filter mentions `deletedAt` or the query calls `.withDeleted()`.
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Deleted by cannot exceed 100 characters']
+    }
+  });
+
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.query.onlyDeleted = function() {
+    return this.where({ deletedAt: { $ne: null } });
+  };
+
+  schema.pre(QUERY_HOOKS, function() {
+    const { withDeleted } = this.getOptions();
+    // Mongoose forwards unknown options to the driver
+    delete this.options.withDeleted;
+
+    if (withDeleted || mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+
+    if (first?.$match) {
+      // Merged rather than prepended: a $text match has to stay the first stage
+      if (!mentionsDeletedAt(first.$match)) first.$match = { ...first.$match, deletedAt: null };
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.moveToTrash = function(actor) {
+    this.deletedAt = new Date();
+    this.deletedBy = actor;
+    return this.save();
+  };
+
+  schema.methods.restoreFromTrash = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
+
+export default softDeletePlugin;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  login,
+  refresh,
+  logout,
+  me
+} from '../controllers/authController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { loginLimiter } from '../middleware/rateLimiters.js';
+
+const router = express.Router();
+
+router.post('/login', loginLimiter, login);
+router.post('/refresh', loginLimiter, refresh);
+router.post('/logout', requireAdmin, logout);
+router.get('/me', requireAdmin, me);
+
+export default router;
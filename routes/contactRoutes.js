@@ -2,48 +2,52 @@ import express from 'express';
 import {
   submitContact,
   getContacts,
+  exportContacts,
+  importContacts,
+  searchContacts,
   getContactById,
   updateContactStatus,
+  bulkUpdateContacts,
+  replyToContact,
   deleteContact,
+  getTrashedContacts,
+  restoreContact,
+  permanentlyDeleteContact,
   getContactStats,
+  getSlaBreaches,
+  getSpamContacts,
+  releaseSpamContact,
+  previewTemplate,
   healthCheck
 } from '../controllers/contactController.js';
-import { validateContact } from '../middleware/validation.js';
-import rateLimit from 'express-rate-limit';
-
-// Rate limiting for contact form
-const contactLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many contact attempts, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
-// Rate limiting for admin endpoints
-const adminLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests, please try again later.'
-  }
-});
+import { validateContact, validateEmailQuality, validateReply, validateBulkAction, validateStatusChange } from '../middleware/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { verifyCaptcha } from '../middleware/captcha.js';
+import { contactLimiter, adminLimiter } from '../middleware/rateLimiters.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/submit', contactLimiter, validateContact, submitContact);
+router.post('/submit', contactLimiter, verifyCaptcha, validateContact, validateEmailQuality, submitContact);
 router.get('/health', healthCheck);
 
 // Admin routes
-router.get('/messages', adminLimiter, getContacts);
-router.get('/stats', adminLimiter, getContactStats);
-router.get('/messages/:id', adminLimiter, getContactById);
-router.patch('/messages/:id/status', adminLimiter, updateContactStatus);
-router.delete('/messages/:id', adminLimiter, deleteContact);
+router.get('/messages', adminLimiter, requireAdmin, getContacts);
+router.get('/search', adminLimiter, requireAdmin, searchContacts);
+router.get('/stats', adminLimiter, requireAdmin, getContactStats);
+router.get('/messages/export', adminLimiter, requireAdmin, exportContacts);
+router.get('/messages/breaches', adminLimiter, requireAdmin, getSlaBreaches);
+router.get('/messages/spam', adminLimiter, requireAdmin, getSpamContacts);
+router.get('/messages/trash', adminLimiter, requireAdmin, getTrashedContacts);
+router.post('/messages/import', adminLimiter, requireAdmin, importContacts);
+router.post('/messages/bulk', adminLimiter, requireAdmin, validateBulkAction, bulkUpdateContacts);
+router.get('/messages/:id', adminLimiter, requireAdmin, getContactById);
+router.patch('/messages/:id/status', adminLimiter, requireAdmin, validateStatusChange, updateContactStatus);
+router.post('/messages/:id/reply', adminLimiter, requireAdmin, validateReply, replyToContact);
+router.post('/messages/:id/release', adminLimiter, requireAdmin, releaseSpamContact);
+router.post('/messages/:id/restore', adminLimiter, requireAdmin, restoreContact);
+router.delete('/messages/:id', adminLimiter, requireAdmin, deleteContact);
+router.delete('/messages/:id/permanent', adminLimiter, requireAdmin, permanentlyDeleteContact);
+router.get('/templates/:name/preview', adminLimiter, requireAdmin, previewTemplate);
 
 export default router;
\ No newline at end of file
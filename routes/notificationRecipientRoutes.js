@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getRecipients,
+  createRecipient,
+  updateRecipient,
+  deleteRecipient,
+  previewDigest
+} from '../controllers/notificationRecipientController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { adminLimiter } from '../middleware/rateLimiters.js';
+
+const router = express.Router();
+
+// Admin routes
+router.get('/', adminLimiter, requireAdmin, getRecipients);
+router.post('/', adminLimiter, requireAdmin, createRecipient);
+router.get('/digest/preview', adminLimiter, requireAdmin, previewDigest);
+router.patch('/:id', adminLimiter, requireAdmin, updateRecipient);
+router.delete('/:id', adminLimiter, requireAdmin, deleteRecipient);
+
+export default router;
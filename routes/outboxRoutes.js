@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getOutboxEntries,
+  requeueOutboxEntry,
+  requeueOutboxEntries
+} from '../controllers/outboxController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { adminLimiter } from '../middleware/rateLimiters.js';
+
+const router = express.Router();
+
+// Admin routes
+router.get('/', adminLimiter, requireAdmin, getOutboxEntries);
+router.post('/requeue', adminLimiter, requireAdmin, requeueOutboxEntries);
+router.post('/:id/requeue', adminLimiter, requireAdmin, requeueOutboxEntry);
+
+export default router;
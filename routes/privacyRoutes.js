@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  submitRequest,
+  verifyRequest,
+  exportData,
+  eraseData,
+  getRequests,
+  getRequestById
+} from '../controllers/dataSubjectController.js';
+import { validateDataSubjectRequest, validateErasure } from '../middleware/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { verifyCaptcha } from '../middleware/captcha.js';
+import { privacyLimiter, adminLimiter } from '../middleware/rateLimiters.js';
+
+const router = express.Router();
+
+// Public routes
+router.post('/requests', privacyLimiter, verifyCaptcha, validateDataSubjectRequest, submitRequest);
+router.post('/verify', privacyLimiter, verifyRequest);
+router.post('/export', privacyLimiter, exportData);
+router.post('/erase', privacyLimiter, validateErasure, eraseData);
+
+// Admin routes
+router.get('/requests', adminLimiter, requireAdmin, getRequests);
+router.get('/requests/:id', adminLimiter, requireAdmin, getRequestById);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getPolicies,
+  getRetentionPreview,
+  triggerRetentionRun,
+  getRetentionRuns
+} from '../controllers/retentionController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { adminLimiter } from '../middleware/rateLimiters.js';
+
+const router = express.Router();
+
+// Admin routes
+router.get('/policies', adminLimiter, requireAdmin, getPolicies);
+router.get('/preview', adminLimiter, requireAdmin, getRetentionPreview);
+router.post('/run', adminLimiter, requireAdmin, triggerRetentionRun);
+router.get('/runs', adminLimiter, requireAdmin, getRetentionRuns);
+
+export default router;
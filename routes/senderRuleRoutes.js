@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getSenderRules,
+  getSenderRuleById,
+  createSenderRule,
+  updateSenderRule,
+  deleteSenderRule
+} from '../controllers/senderRuleController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { adminLimiter } from '../middleware/rateLimiters.js';
+
+const router = express.Router();
+
+// Admin routes
+router.get('/', adminLimiter, requireAdmin, getSenderRules);
+router.post('/', adminLimiter, requireAdmin, createSenderRule);
+router.get('/:id', adminLimiter, requireAdmin, getSenderRuleById);
+router.patch('/:id', adminLimiter, requireAdmin, updateSenderRule);
+router.delete('/:id', adminLimiter, requireAdmin, deleteSenderRule);
+
+export default router;
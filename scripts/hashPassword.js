@@ -0,0 +1,10 @@
+import { hashPassword } from '../services/tokenService.js';
+
+const password = process.argv[2];
+
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+console.log(`ADMIN_PASSWORD_HASH=${hashPassword(password)}`);
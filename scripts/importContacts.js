@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import {
+  IMPORT_FORMATS,
+  DEFAULT_IMPORT_STATUS,
+  parseMapping,
+  csvRecords,
+  mboxRecords,
+  importContacts
+} from '../services/contactImport.js';
+
+const usage = 'Usage: npm run import-contacts -- <file> [--format csv|mbox] [--mapping mapping.json] [--status archived] [--dry-run]';
+
+/**
+ * Import a CSV or mbox file of historical contacts, streaming it from disk
+ */
+const run = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string' },
+      mapping: { type: 'string' },
+      status: { type: 'string', default: DEFAULT_IMPORT_STATUS },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const [file] = positionals;
+  if (!file) {
+    throw new Error(usage);
+  }
+
+  const format = values.format || path.extname(file).slice(1).toLowerCase();
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Cannot tell the format of ${file} - pass --format ${IMPORT_FORMATS.join('|')}`);
+  }
+
+  const { mapping, errors } = parseMapping(values.mapping ? JSON.parse(fs.readFileSync(values.mapping, 'utf8')) : {});
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.message).join('; '));
+  }
+
+  const input = fs.createReadStream(file);
+  const records = format === 'csv'
+    ? csvRecords(input, mapping)
+    : mboxRecords(readline.createInterface({ input, crlfDelay: Infinity }));
+
+  await connectDB();
+
+  const report = await importContacts(records, {
+    dryRun: values['dry-run'],
+    status: values.status,
+    importedBy: 'cli'
+  });
+
+  for (const row of report.rows) {
+    const detail = row.reason || row.errors.map(error => `${error.field}: ${error.message}`).join('; ');
+    console.log(`row ${row.row}: ${row.result} - ${detail}`);
+  }
+
+  console.log(`${report.dryRun ? '[dry run] ' : ''}Processed ${report.total}: ${report.imported} imported, ${report.skipped} skipped, ${report.invalid} invalid`);
+};
+
+run()
+  .catch(error => {
+    console.error('Contact import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,137 @@
+import { parseArgs } from 'util';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import encryptionConfig, { BLIND_INDEXES, ENCRYPTABLE_FIELDS, isEncryptionEnabled } from '../config/encryption.js';
+import Contact from '../models/Contact.js';
+import ContactArchive from '../models/ContactArchive.js';
+import EmailOutbox, { OUTBOX_ENCRYPTION } from '../models/EmailOutbox.js';
+import { getPath } from '../models/plugins/encryptedFields.js';
+import { isEncrypted, keyVersionOf, encryptValue, decryptValue, blindIndex, generateKey } from '../utils/fieldEncryption.js';
+
+const usage = 'Usage: npm run reencrypt-contacts -- [--batch-size 500] [--force] [--dry-run] | --generate-key';
+
+// Contacts follow ENCRYPTED_FIELDS; fields dropped from it are written back as plaintext
+const CONTACT_ENCRYPTION = {
+  fields: encryptionConfig.fields,
+  decryptOnly: ENCRYPTABLE_FIELDS.filter(field => !encryptionConfig.fields.includes(field)),
+  blindIndexes: BLIND_INDEXES
+};
+
+/**
+ * Changes needed to bring one raw document onto the active key. Plaintext values
+ * are encrypted, values under an older key are re-encrypted, and blind indexes are
+ * recomputed. With `force` every value is rewritten (after changing BLIND_INDEX_KEY).
+ */
+const planDocument = (doc, { fields, decryptOnly = [], blindIndexes }, force) => {
+  const $set = {};
+
+  decryptOnly.forEach(field => {
+    const value = getPath(doc, field);
+    if (isEncrypted(value)) $set[field] = decryptValue(value);
+  });
+
+  fields.forEach(field => {
+    const value = getPath(doc, field);
+    if (typeof value !== 'string' || value === '') return;
+
+    const plaintext = decryptValue(value);
+
+    if (force || !isEncrypted(value) || keyVersionOf(value) !== encryptionConfig.activeVersion) {
+      $set[field] = encryptValue(plaintext);
+    }
+
+    const hashField = blindIndexes[field];
+    if (hashField && doc[hashField] !== blindIndex(plaintext)) {
+      $set[hashField] = blindIndex(plaintext);
+    }
+  });
+
+  return $set;
+};
+
+/**
+ * Walk a collection directly (bypassing the model's encryption hooks) and rewrite in batches
+ */
+const migrateCollection = async (model, encryption, { batchSize, force, dryRun }) => {
+  const projection = Object.fromEntries(
+    [...encryption.fields, ...(encryption.decryptOnly || []), ...Object.values(encryption.blindIndexes)].map(field => [field, 1])
+  );
+  const report = { collection: model.collection.collectionName, scanned: 0, updated: 0, failed: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await model.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const doc of model.collection.find({}, { projection })) {
+    report.scanned += 1;
+
+    try {
+      const $set = planDocument(doc, encryption, force);
+      if (Object.keys($set).length === 0) continue;
+
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+      report.updated += 1;
+    } catch (error) {
+      report.failed += 1;
+      console.error(`${report.collection} ${doc._id}: ${error.message}`);
+    }
+
+    if (operations.length >= batchSize) await flush();
+  }
+
+  await flush();
+  return report;
+};
+
+const run = async () => {
+  const { values } = parseArgs({
+    options: {
+      'batch-size': { type: 'string', default: '500' },
+      force: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      'generate-key': { type: 'boolean', default: false }
+    }
+  });
+
+  if (values['generate-key']) {
+    console.log(generateKey());
+    return;
+  }
+
+  if (!isEncryptionEnabled()) {
+    throw new Error(`Field encryption is not configured - set ENCRYPTION_KEYS and BLIND_INDEX_KEY\n${usage}`);
+  }
+
+  const batchSize = parseInt(values['batch-size'], 10);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(usage);
+  }
+
+  await connectDB();
+
+  console.log(`${values['dry-run'] ? '[dry run] ' : ''}Re-encrypting ${encryptionConfig.fields.join(', ')} with key "${encryptionConfig.activeVersion}"`);
+
+  const collections = [[Contact, CONTACT_ENCRYPTION], [ContactArchive, CONTACT_ENCRYPTION], [EmailOutbox, OUTBOX_ENCRYPTION]];
+
+  for (const [model, encryption] of collections) {
+    const report = await migrateCollection(model, encryption, {
+      batchSize,
+      force: values.force,
+      dryRun: values['dry-run']
+    });
+
+    console.log(`${report.collection}: scanned ${report.scanned}, ${values['dry-run'] ? 'would update' : 'updated'} ${report.updated}, failed ${report.failed}`);
+    if (report.failed > 0) process.exitCode = 1;
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('Contact re-encryption failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import emailQualityConfig from '../config/emailQuality.js';
+import { DISPOSABLE_DOMAINS_PATH } from '../services/emailQuality.js';
+
+/**
+ * Refresh the bundled disposable-domain list from the upstream blocklist
+ */
+const updateDisposableDomains = async () => {
+  const sourceUrl = process.argv[2] || emailQualityConfig.disposableDomainsSourceUrl;
+  console.log(`Downloading disposable domain list from ${sourceUrl}`);
+
+  const response = await fetch(sourceUrl);
+  if (!response.ok) {
+    throw new Error(`Download failed with status ${response.status}`);
+  }
+
+  const domains = (await response.text())
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (domains.length === 0) {
+    throw new Error('Downloaded list is empty - keeping the existing file');
+  }
+
+  const list = {
+    updatedAt: new Date().toISOString().slice(0, 10),
+    source: sourceUrl,
+    domains: [...new Set(domains)].sort()
+  };
+
+  await fs.writeFile(DISPOSABLE_DOMAINS_PATH, `${JSON.stringify(list, null, 2)}\n`);
+  console.log(`Wrote ${list.domains.length} domains to ${DISPOSABLE_DOMAINS_PATH}`);
+};
+
+updateDisposableDomains().catch(error => {
+  console.error('Disposable domain update failed:', error.message);
+  process.exit(1);
+});
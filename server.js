@@ -3,6 +3,17 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import connectDB from './config/database.js';
 import contactRoutes from './routes/contactRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import outboxRoutes from './routes/outboxRoutes.js';
+import senderRuleRoutes from './routes/senderRuleRoutes.js';
+import notificationRecipientRoutes from './routes/notificationRecipientRoutes.js';
+import retentionRoutes from './routes/retentionRoutes.js';
+import privacyRoutes from './routes/privacyRoutes.js';
+import emailOutbox from './services/email/outbox.js';
+import slaEscalation from './services/slaEscalation.js';
+import digestScheduler from './services/digest.js';
+import retentionScheduler from './services/retention.js';
+import trashPurger from './services/trash.js';
 
 dotenv.config();
 
@@ -12,6 +23,13 @@ const PORT = process.env.PORT || 5000;
 // Connect to database
 connectDB();
 
+// Background workers
+emailOutbox.start();
+slaEscalation.start();
+digestScheduler.start();
+retentionScheduler.start();
+trashPurger.start();
+
 // Middleware
 app.use(
   cors({
@@ -20,8 +38,8 @@ app.use(
       'http://localhost:3000',
       'https://manishsingh-portfolio.vercel.app' // ✅ your deployed frontend
     ],
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Captcha-Token'],
     credentials: true,
   })
 );
@@ -31,7 +49,13 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/outbox', outboxRoutes);
+app.use('/api/sender-rules', senderRuleRoutes);
+app.use('/api/notification-recipients', notificationRecipientRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/privacy', privacyRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
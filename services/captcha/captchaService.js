@@ -0,0 +1,83 @@
+import captchaConfig from '../../config/captcha.js';
+import HCaptchaProvider from './providers/hcaptchaProvider.js';
+import TurnstileProvider from './providers/turnstileProvider.js';
+import RecaptchaProvider from './providers/recaptchaProvider.js';
+import StubProvider from './providers/stubProvider.js';
+
+const providers = {
+  hcaptcha: () => new HCaptchaProvider(captchaConfig),
+  turnstile: () => new TurnstileProvider(captchaConfig),
+  recaptcha: () => new RecaptchaProvider(captchaConfig),
+  stub: () => new StubProvider()
+};
+
+/**
+ * CAPTCHA verification with a configurable provider and score threshold.
+ * Providers expose `name`, `isConfigured` and `verify(token, remoteIp)`.
+ */
+class CaptchaService {
+  constructor() {
+    this.provider = null;
+
+    if (captchaConfig.provider === 'none') {
+      return;
+    }
+
+    const factory = providers[captchaConfig.provider];
+    if (!factory) {
+      throw new Error(`Unknown CAPTCHA provider "${captchaConfig.provider}". Expected one of: none, ${Object.keys(providers).join(', ')}`);
+    }
+
+    this.provider = factory();
+
+    if (!this.provider.isConfigured) {
+      console.warn(`CAPTCHA provider "${this.provider.name}" missing CAPTCHA_SECRET - submissions will fail verification`);
+    }
+  }
+
+  get isEnabled() {
+    return !!this.provider;
+  }
+
+  /**
+   * Verify a token and apply the score, hostname and action policies.
+   * Resolves to the provider result plus `passed` and the failure `reasons`.
+   */
+  async verify(token, remoteIp) {
+    if (!this.provider.isConfigured) {
+      throw new Error(`CAPTCHA provider "${this.provider.name}" not configured`);
+    }
+
+    const result = await this.provider.verify(token, remoteIp);
+    const reasons = [...result.errorCodes];
+
+    if (!result.success && reasons.length === 0) {
+      reasons.push('verification-failed');
+    }
+
+    if (result.score !== null && result.score < captchaConfig.minScore) {
+      reasons.push('score-below-threshold');
+    }
+
+    if (captchaConfig.expectedHostname && result.hostname && result.hostname !== captchaConfig.expectedHostname) {
+      reasons.push('hostname-mismatch');
+    }
+
+    if (captchaConfig.expectedAction && result.action && result.action !== captchaConfig.expectedAction) {
+      reasons.push('action-mismatch');
+    }
+
+    return {
+      ...result,
+      provider: this.provider.name,
+      threshold: result.score !== null ? captchaConfig.minScore : null,
+      passed: result.success && reasons.length === 0,
+      reasons,
+      verifiedAt: new Date()
+    };
+  }
+}
+
+const captchaService = new CaptchaService();
+
+export default captchaService;
@@ -0,0 +1,15 @@
+import SiteVerifyProvider from './siteVerifyProvider.js';
+
+/**
+ * hCaptcha verification
+ */
+export default class HCaptchaProvider extends SiteVerifyProvider {
+  constructor({ secret, timeoutMs }) {
+    super({
+      name: 'hcaptcha',
+      verifyUrl: 'https://api.hcaptcha.com/siteverify',
+      secret,
+      timeoutMs
+    });
+  }
+}
@@ -0,0 +1,15 @@
+import SiteVerifyProvider from './siteVerifyProvider.js';
+
+/**
+ * Google reCAPTCHA (v2 and v3) verification
+ */
+export default class RecaptchaProvider extends SiteVerifyProvider {
+  constructor({ secret, timeoutMs }) {
+    super({
+      name: 'recaptcha',
+      verifyUrl: 'https://www.google.com/recaptcha/api/siteverify',
+      secret,
+      timeoutMs
+    });
+  }
+}
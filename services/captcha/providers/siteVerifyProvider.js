@@ -0,0 +1,43 @@
+/**
+ * Shared implementation for providers exposing a `siteverify` endpoint that
+ * accepts `secret`, `response` and `remoteip` as form fields.
+ */
+export default class SiteVerifyProvider {
+  constructor({ name, verifyUrl, secret, timeoutMs }) {
+    this.name = name;
+    this.verifyUrl = verifyUrl;
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get isConfigured() {
+    return !!this.secret;
+  }
+
+  async verify(token, remoteIp) {
+    const body = new URLSearchParams({ secret: this.secret, response: token });
+    if (remoteIp) body.append('remoteip', remoteIp);
+
+    const response = await fetch(this.verifyUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} verification endpoint returned ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    return {
+      success: result.success === true,
+      score: typeof result.score === 'number' ? result.score : null,
+      action: result.action || null,
+      hostname: result.hostname || null,
+      challengeTs: result.challenge_ts || null,
+      errorCodes: result['error-codes'] || []
+    };
+  }
+}
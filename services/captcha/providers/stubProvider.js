@@ -0,0 +1,36 @@
+/**
+ * Local development and test verifier - never calls out to a provider.
+ * Tokens starting with `fail` are rejected, `low-score` yields a low score,
+ * and any other non-empty token passes.
+ */
+export default class StubProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  get isConfigured() {
+    return true;
+  }
+
+  async verify(token) {
+    if (token.startsWith('fail')) {
+      return {
+        success: false,
+        score: null,
+        action: null,
+        hostname: 'localhost',
+        challengeTs: new Date().toISOString(),
+        errorCodes: ['invalid-input-response']
+      };
+    }
+
+    return {
+      success: true,
+      score: token.startsWith('low-score') ? 0.1 : 0.9,
+      action: 'submit',
+      hostname: 'localhost',
+      challengeTs: new Date().toISOString(),
+      errorCodes: []
+    };
+  }
+}
@@ -0,0 +1,15 @@
+import SiteVerifyProvider from './siteVerifyProvider.js';
+
+/**
+ * Cloudflare Turnstile verification
+ */
+export default class TurnstileProvider extends SiteVerifyProvider {
+  constructor({ secret, timeoutMs }) {
+    super({
+      name: 'turnstile',
+      verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+      secret,
+      timeoutMs
+    });
+  }
+}
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import net from 'net';
+import privacyConfig from '../config/privacy.js';
+import { normalizeIP } from './geoip.js';
+
+export const HASHED_IP_PATTERN = /^hash:[0-9a-f]{32}$/;
+
+/**
+ * The eight 16-bit groups of an IPv6 address
+ */
+const ipv6Groups = (ip) => {
+  let address = ip.split('%')[0];
+
+  // Embedded IPv4 tail (::ffff:1.2.3.4, 64:ff9b::1.2.3.4) becomes two groups
+  if (address.includes('.')) {
+    const index = address.lastIndexOf(':') + 1;
+    const [a, b, c, d] = address.slice(index).split('.').map(Number);
+    address = `${address.slice(0, index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+  return [...headGroups, ...fill, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+/**
+ * Network an address belongs to, in CIDR notation: /24 for IPv4, /48 for IPv6
+ */
+export const truncateIP = (ip) => {
+  const address = normalizeIP(ip);
+  const family = net.isIP(address);
+
+  if (family === 4) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (family === 6) {
+    const prefix = ipv6Groups(address).slice(0, 3);
+    while (prefix.length > 0 && prefix[prefix.length - 1] === 0) prefix.pop();
+    return `${prefix.map(group => group.toString(16)).join(':')}::/48`;
+  }
+
+  return null;
+};
+
+/**
+ * Whether a value is an address in any stored form: raw, truncated network or hash
+ */
+export const isStoredIP = (value) => {
+  if (net.isIP(value) || HASHED_IP_PATTERN.test(value)) return true;
+
+  const [address, prefix, ...rest] = String(value).split('/');
+  const family = net.isIP(address);
+  return rest.length === 0 && ((family === 4 && prefix === '24') || (family === 6 && prefix === '48'));
+};
+
+const hashPeriod = (now) => Math.floor(now.getTime() / privacyConfig.ipHash.rotationMs);
+
+/**
+ * Keyed hash of an address under the salt for the period containing `now`. The salt rotates,
+ * so hashes link submissions within a period but not across periods. Null without
+ * PRIVACY_IP_HASH_SECRET (only possible outside hash mode).
+ */
+export const hashIP = (ip, now = new Date(), period = hashPeriod(now)) => {
+  const address = normalizeIP(ip);
+  if (!net.isIP(address) || !privacyConfig.ipHash.secret) return null;
+
+  const salt = crypto
+    .createHmac('sha256', privacyConfig.ipHash.secret)
+    .update(`ip-salt:${period}`)
+    .digest();
+
+  return `hash:${crypto.createHmac('sha256', salt).update(address.toLowerCase()).digest('hex').slice(0, 32)}`;
+};
+
+/**
+ * Every stored form the address may have been recorded under recently - used to match
+ * ip sender rules created from stored (truncated or hashed) addresses
+ */
+export const ipRepresentations = (ip, now = new Date()) => {
+  const address = normalizeIP(ip);
+  if (!net.isIP(address)) return [];
+
+  const period = hashPeriod(now);
+  return [address.toLowerCase(), hashIP(address, now, period), hashIP(address, now, period - 1)].filter(Boolean);
+};
+
+/**
+ * The form of a client address to persist under the configured PRIVACY_IP_MODE
+ */
+export const storedIP = (ip, mode = privacyConfig.ipStorage) => {
+  if (!ip || mode === 'none') return undefined;
+  if (mode === 'full' || ip === 'unknown') return ip;
+
+  return (mode === 'truncate' ? truncateIP(ip) : hashIP(ip)) || undefined;
+};
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+  ['Opera', /(?:OPR|Opera)\/(\d+)/],
+  ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+  ['Safari', /Version\/(\d+).*Safari\//],
+  ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)(\d+)/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|curl|wget|python-requests|httpclient|postman|headless/i;
+
+/**
+ * Reduce a User-Agent header to `{ browser, os, device, summary }`, e.g. "Chrome 120 on Windows (desktop)"
+ */
+export const parseUserAgent = (userAgent) => {
+  const ua = String(userAgent || '');
+  if (!ua) return null;
+
+  const browserMatch = BROWSERS.map(([name, pattern]) => [name, ua.match(pattern)]).find(([, match]) => match);
+  const browser = browserMatch ? `${browserMatch[0]} ${browserMatch[1][1]}` : 'Unknown browser';
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(ua))?.[0] || 'Unknown OS';
+
+  let device = 'desktop';
+  if (BOT_PATTERN.test(ua)) device = 'bot';
+  else if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) device = 'tablet';
+  else if (/Mobi|iPhone|iPod/.test(ua)) device = 'mobile';
+
+  return { browser, os, device, summary: `${browser} on ${os} (${device})` };
+};
+
+/**
+ * The form of a User-Agent header to persist under the configured PRIVACY_USER_AGENT_MODE
+ */
+export const storedUserAgent = (userAgent, mode = privacyConfig.userAgentStorage) => {
+  if (!userAgent || mode === 'none') return undefined;
+  if (mode === 'full') return userAgent;
+
+  return parseUserAgent(userAgent).summary;
+};
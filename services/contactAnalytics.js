@@ -0,0 +1,164 @@
+import Contact from '../models/Contact.js';
+import slaConfig from '../config/sla.js';
+import { CONTACT_STATUSES } from './contactWorkflow.js';
+
+/**
+ * Response-time and SLA analytics for the stats endpoint
+ */
+
+export const GROUP_BY_UNITS = ['day', 'week', 'month'];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const BACKLOG_BUCKETS = [
+  { label: 'under_1d', upTo: DAY },
+  { label: '1d_to_3d', upTo: 3 * DAY },
+  { label: '3d_to_7d', upTo: 7 * DAY },
+  { label: '7d_to_30d', upTo: 30 * DAY },
+  { label: 'over_30d', upTo: null }
+];
+
+/**
+ * Parse `from`, `to` and `groupBy`. Resolves to `{ range, errors }`.
+ */
+export const parseStatsRange = ({ from, to, groupBy = 'day' } = {}) => {
+  const errors = [];
+  // A bare `to` date includes that whole day; the range end is exclusive
+  const toDate = to
+    ? new Date(new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(String(to)) ? DAY : 0))
+    : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - slaConfig.defaultRangeDays * DAY);
+
+  if (Number.isNaN(toDate.getTime())) errors.push({ field: 'to', message: 'to must be a valid date' });
+  if (Number.isNaN(fromDate.getTime())) errors.push({ field: 'from', message: 'from must be a valid date' });
+  if (errors.length === 0 && fromDate >= toDate) errors.push({ field: 'from', message: 'from must be before to' });
+
+  if (!GROUP_BY_UNITS.includes(groupBy)) {
+    errors.push({ field: 'groupBy', message: `groupBy must be one of: ${GROUP_BY_UNITS.join(', ')}` });
+  }
+
+  return { range: { from: fromDate, to: toDate, groupBy }, errors };
+};
+
+/**
+ * Nearest-rank percentile of an ascending list
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+};
+
+export const summarizeDurations = (values) => {
+  const sorted = values.filter(value => typeof value === 'number' && value >= 0).sort((a, b) => a - b);
+
+  return {
+    count: sorted.length,
+    medianMs: percentile(sorted, 50),
+    p90Ms: percentile(sorted, 90),
+    averageMs: sorted.length > 0 ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null
+  };
+};
+
+const toCounts = (rows, keys) => {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  rows.forEach(({ _id, count }) => {
+    counts[_id ?? 'unknown'] = count;
+  });
+  return counts;
+};
+
+const compliance = ({ met, breached }) => (met + breached > 0 ? Number(((met / (met + breached)) * 100).toFixed(1)) : null);
+
+const summarizeSla = (rows) => {
+  const byPriority = {};
+  const overall = { total: 0, met: 0, breached: 0, pending: 0 };
+
+  for (const row of rows) {
+    const pending = row.total - row.met - row.breached;
+    byPriority[row._id] = {
+      targetHours: row.target / HOUR,
+      total: row.total,
+      met: row.met,
+      breached: row.breached,
+      pending,
+      compliance: compliance(row)
+    };
+
+    overall.total += row.total;
+    overall.met += row.met;
+    overall.breached += row.breached;
+    overall.pending += pending;
+  }
+
+  return { byPriority, overall: { ...overall, compliance: compliance(overall) } };
+};
+
+const summarizeBacklog = (rows) => {
+  const counts = new Map(rows.map(row => [row._id, row]));
+  const lowerBounds = [0, ...BACKLOG_BUCKETS.slice(0, -1).map(bucket => bucket.upTo)];
+
+  const buckets = BACKLOG_BUCKETS.map((bucket, index) => {
+    const row = counts.get(bucket.upTo === null ? 'older' : lowerBounds[index]);
+    return { bucket: bucket.label, count: row?.count || 0, oldest: row?.oldest || null };
+  });
+
+  return { total: buckets.reduce((sum, bucket) => sum + bucket.count, 0), buckets };
+};
+
+/**
+ * Full analytics payload for contacts created within the range
+ */
+export const getContactAnalytics = async ({ from, to, groupBy }) => {
+  const [stats, spam, backlog] = await Promise.all([
+    Contact.getStatistics({ from, to, groupBy, timezone: slaConfig.timezone, slaTargets: slaConfig.targets }),
+    Contact.countDocuments({ status: 'spam', createdAt: { $gte: from, $lt: to } }),
+    Contact.getBacklogAges(BACKLOG_BUCKETS.slice(0, -1).map(bucket => bucket.upTo))
+  ]);
+
+  const byStatus = toCounts(stats.statusCounts, CONTACT_STATUSES);
+  byStatus.spam = spam;
+
+  const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  const legitimate = total - spam;
+  const replied = stats.timeline.reduce((sum, period) => sum + period.replied, 0);
+  const priorities = toCounts(stats.priorityCounts, Contact.schema.path('priority').enumValues);
+  const days = Math.max((to - from) / DAY, 1);
+
+  const byPriority = Object.fromEntries(stats.responseTimes.map(row => [row._id, {
+    firstRead: summarizeDurations(row.readTimes),
+    firstReply: summarizeDurations(row.replyTimes)
+  }]));
+
+  return {
+    range: { from, to, groupBy, timezone: slaConfig.timezone },
+    overview: {
+      total,
+      byStatus,
+      open: byStatus.new + byStatus.read,
+      replied,
+      spam,
+      responseRate: legitimate > 0 ? Number(((replied / legitimate) * 100).toFixed(1)) : 0,
+      averageDaily: Number((total / days).toFixed(1))
+    },
+    trends: {
+      timeline: stats.timeline.map(({ _id, count, replied: repliedCount }) => ({ period: _id, count, replied: repliedCount }))
+    },
+    responseTimes: {
+      firstRead: summarizeDurations(stats.responseTimes.flatMap(row => row.readTimes)),
+      firstReply: summarizeDurations(stats.responseTimes.flatMap(row => row.replyTimes)),
+      byPriority
+    },
+    sla: summarizeSla(stats.sla),
+    backlog: summarizeBacklog(backlog),
+    distribution: {
+      sources: stats.sourceCounts,
+      priorities,
+      tags: stats.tagStats,
+      geography: {
+        countries: stats.countries,
+        timezones: stats.timezones
+      }
+    }
+  };
+};
@@ -0,0 +1,237 @@
+import Contact from '../models/Contact.js';
+import { buildContactFilter } from './contactQuery.js';
+import { STATUS_ACTIONS, transitionsInto } from './contactWorkflow.js';
+
+/**
+ * Bulk triage actions over contacts selected by id list or listing filter.
+ * Work is done in chunks with an event-loop yield between them so large
+ * batches do not starve other requests.
+ */
+
+export const BULK_CHUNK_SIZE = 500;
+export const MAX_BULK_IDS = 10000;
+
+const normalizeTags = (tags) => [...new Set(
+  (Array.isArray(tags) ? tags : [tags])
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean)
+)];
+
+const enumValues = (path) => Contact.schema.path(path).enumValues;
+
+/**
+ * Each action validates its value and either describes a status workflow
+ * move (`transition`) or which documents it would change (`pending`) and
+ * how (`update`). Documents outside `pending` are reported as unchanged.
+ */
+export const BULK_ACTIONS = {
+  set_status: {
+    validate: (value) => Object.keys(transitionsInto(value)).length > 0 ||
+      `value must be one of: ${enumValues('status').filter(status => Object.keys(transitionsInto(status)).length > 0).join(', ')}`,
+    transition: (value) => ({ status: value })
+  },
+  add_tags: {
+    validate: (value) => validateTags(value),
+    pending: (value) => ({ tags: { $not: { $all: normalizeTags(value) } } }),
+    update: (value) => ({ $addToSet: { tags: { $each: normalizeTags(value) } } })
+  },
+  remove_tags: {
+    validate: (value) => validateTags(value),
+    pending: (value) => ({ tags: { $in: normalizeTags(value) } }),
+    update: (value) => ({ $pullAll: { tags: normalizeTags(value) } })
+  },
+  set_priority: {
+    validate: (value) => enumValues('priority').includes(value) || `value must be one of: ${enumValues('priority').join(', ')}`,
+    pending: (value) => ({ priority: { $ne: value } }),
+    update: (value) => ({ $set: { priority: value } })
+  },
+  archive: {
+    validate: () => true,
+    transition: () => ({ action: 'archive' })
+  },
+  reopen: {
+    validate: () => true,
+    transition: () => ({ action: 'reopen' })
+  },
+  delete: {
+    validate: () => true,
+    pending: () => ({}),
+    update: (value, actor) => ({ $set: { deletedAt: new Date(), deletedBy: actor } }),
+    result: 'trashed'
+  }
+};
+
+/**
+ * Target status and the workflow action to use from each source status
+ */
+const resolveBulkTransition = (definition, value) => {
+  const spec = definition.transition(value);
+
+  if (spec.action) {
+    const { from, to } = STATUS_ACTIONS[spec.action];
+    return { to, sources: Object.fromEntries(from.map(status => [status, spec.action])) };
+  }
+
+  return { to: spec.status, sources: transitionsInto(spec.status) };
+};
+
+function validateTags(value) {
+  const tags = normalizeTags(value);
+  if (tags.length === 0) return 'value must be a tag or a list of tags';
+  if (tags.some(tag => tag.length > 20)) return 'Tags cannot exceed 20 characters';
+  return true;
+}
+
+export const bulkActionNames = Object.keys(BULK_ACTIONS);
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Resolve the request selection into a Mongo filter. Returns `{ query, errors }`.
+ */
+export const buildBulkSelection = ({ ids, filter }) => {
+  if (ids) {
+    return { query: { _id: { $in: ids } }, errors: [] };
+  }
+
+  const { filter: query, errors } = buildContactFilter(filter);
+  return { query, errors };
+};
+
+/**
+ * Count what an action would touch without changing anything
+ */
+export const previewBulkAction = async ({ action, value, query }) => {
+  const definition = BULK_ACTIONS[action];
+
+  if (definition.transition) {
+    const { to, sources } = resolveBulkTransition(definition, value);
+    const [matched, affected, unchanged] = await Promise.all([
+      Contact.countDocuments(query),
+      Contact.countDocuments({ $and: [query, { status: { $in: Object.keys(sources).filter(status => status !== to) } }] }),
+      Contact.countDocuments({ $and: [query, { status: to }] })
+    ]);
+
+    return { matched, affected, unchanged, rejected: matched - affected - unchanged };
+  }
+
+  const [matched, affected] = await Promise.all([
+    Contact.countDocuments(query),
+    Contact.countDocuments({ $and: [query, definition.pending(value)] })
+  ]);
+
+  return { matched, affected, unchanged: matched - affected };
+};
+
+const applyFieldChunk = async (definition, value, chunk, actor) => {
+  const pendingIds = await Contact.find({ _id: { $in: chunk }, ...definition.pending(value) }).distinct('_id');
+  const pending = new Set(pendingIds.map(id => id.toString()));
+
+  if (pendingIds.length > 0) {
+    await Contact.updateMany({ _id: { $in: pendingIds } }, definition.update(value, actor), { runValidators: true });
+  }
+
+  return chunk.map(id => ({
+    id: id.toString(),
+    result: pending.has(id.toString()) ? (definition.result || 'updated') : 'unchanged'
+  }));
+};
+
+/**
+ * Status moves go through the workflow: contacts are grouped by their current
+ * status, illegal moves are rejected per item and every change is recorded
+ * in the status history
+ */
+const applyTransitionChunk = async (definition, value, chunk, actor) => {
+  const { to, sources } = resolveBulkTransition(definition, value);
+  const contacts = await Contact.find({ _id: { $in: chunk } }).select('_id status').lean();
+  const results = new Map();
+  const groups = {};
+
+  for (const contact of contacts) {
+    const id = contact._id.toString();
+
+    if (sources[contact.status] && contact.status !== to) {
+      (groups[contact.status] ||= []).push(contact._id);
+    } else if (contact.status === to) {
+      results.set(id, { id, result: 'unchanged' });
+    } else {
+      results.set(id, { id, result: 'rejected', error: `Cannot move a contact from "${contact.status}" to "${to}"` });
+    }
+  }
+
+  for (const [from, ids] of Object.entries(groups)) {
+    const timestamp = new Date();
+
+    // Re-check the status in the filter so a concurrent change is not overwritten
+    await Contact.updateMany(
+      { _id: { $in: ids }, status: from },
+      {
+        $set: { status: to },
+        $push: { statusHistory: { from, to, action: sources[from], actor, note: 'Bulk action', timestamp } }
+      }
+    );
+
+    if (to === 'replied') {
+      await Contact.updateMany({ _id: { $in: ids }, 'response.repliedAt': null }, { $set: { 'response.repliedAt': timestamp } });
+    }
+
+    ids.forEach(id => results.set(id.toString(), { id: id.toString(), result: 'updated' }));
+  }
+
+  return chunk.map(id => results.get(id.toString())).filter(Boolean);
+};
+
+/**
+ * Apply an action to every matching contact and return a per-item report
+ */
+export const runBulkAction = async ({ action, value, query, ids, actor = 'Admin', chunkSize = BULK_CHUNK_SIZE }) => {
+  const definition = BULK_ACTIONS[action];
+  const items = [];
+  let chunk = [];
+
+  const flush = async () => {
+    if (chunk.length === 0) return;
+
+    try {
+      items.push(...await (definition.transition
+        ? applyTransitionChunk(definition, value, chunk, actor)
+        : applyFieldChunk(definition, value, chunk, actor)));
+    } catch (error) {
+      console.error('Bulk action chunk error:', error);
+      items.push(...chunk.map(id => ({ id: id.toString(), result: 'failed', error: error.message })));
+    }
+
+    chunk = [];
+    await yieldToEventLoop();
+  };
+
+  const found = new Set();
+  let matched = 0;
+
+  // Walk the _id index so updates to other fields never shift the cursor
+  const cursor = Contact.find(query).select('_id').sort({ _id: 1 }).lean().cursor();
+
+  for await (const { _id } of cursor) {
+    matched += 1;
+    if (ids) found.add(_id.toString());
+
+    chunk.push(_id);
+    if (chunk.length >= chunkSize) await flush();
+  }
+  await flush();
+
+  if (ids) {
+    for (const id of new Set(ids)) {
+      if (!found.has(id)) items.push({ id, result: 'not_found' });
+    }
+  }
+
+  const summary = items.reduce((counts, item) => {
+    counts[item.result] = (counts[item.result] || 0) + 1;
+    return counts;
+  }, { matched });
+
+  return { summary, items };
+};
@@ -0,0 +1,146 @@
+import { Readable } from 'stream';
+import validator from 'validator';
+import Contact from '../models/Contact.js';
+
+/**
+ * Streaming contact export. Rows are read from a lean Mongo cursor and
+ * written one at a time so memory stays flat regardless of collection size.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Fields submitted through the form are stored HTML-escaped; export what the sender typed
+const ESCAPED_FIELDS = new Set(['name', 'subject', 'message']);
+
+export const EXPORT_COLUMNS = [
+  'id', 'name', 'email', 'subject', 'message', 'status', 'priority', 'source', 'tags',
+  'ipAddress', 'userAgent', 'createdAt', 'updatedAt',
+  'response.repliedAt', 'response.repliedBy', 'response.responseMessage',
+  'geo.country', 'geo.region', 'geo.city', 'geo.timezone',
+  'emailQuality.verdict', 'emailQuality.suggestion',
+  'spam.score', 'spam.reasons', 'duplicateCount'
+];
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  'id', 'name', 'email', 'subject', 'message', 'status', 'priority', 'source', 'tags',
+  'createdAt', 'response.repliedAt', 'response.repliedBy'
+];
+
+const METADATA_COLUMN = /^metadata\.[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+// Leading characters spreadsheet applications treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse the `columns` query parameter. Resolves to `{ columns, errors }`.
+ */
+export const parseColumns = (value) => {
+  if (!value) return { columns: DEFAULT_EXPORT_COLUMNS, errors: [] };
+
+  const requested = (Array.isArray(value) ? value : String(value).split(','))
+    .map(column => String(column).trim())
+    .filter(Boolean);
+
+  const invalid = requested.filter(column => !EXPORT_COLUMNS.includes(column) && !METADATA_COLUMN.test(column));
+
+  if (invalid.length > 0) {
+    return {
+      columns: [],
+      errors: [{
+        field: 'columns',
+        message: `Unknown columns: ${invalid.join(', ')}. Allowed: ${EXPORT_COLUMNS.join(', ')}, metadata.<key>`
+      }]
+    };
+  }
+
+  return { columns: [...new Set(requested)], errors: [] };
+};
+
+const readPath = (doc, path) => {
+  if (path === 'id') return doc._id?.toString();
+
+  const value = path.split('.').reduce((current, key) => (current != null && Object.hasOwn(current, key) ? current[key] : undefined), doc);
+  return ESCAPED_FIELDS.has(path) && typeof value === 'string' ? validator.unescape(value) : value;
+};
+
+/**
+ * Flatten a lean contact document into `{ column: value }`
+ */
+export const toExportRow = (doc, columns) => Object.fromEntries(
+  columns.map(column => [column, readPath(doc, column) ?? null])
+);
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Quote a CSV field (RFC 4180) and neutralise spreadsheet formulas
+ */
+export const escapeCsvField = (value) => {
+  let field = toCsvValue(value);
+
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(field)) {
+    field = `'${field}`;
+  }
+
+  if (/[",\r\n]/.test(field) || field !== field.trim()) {
+    field = `"${field.replace(/"/g, '""')}"`;
+  }
+
+  return field;
+};
+
+const toCsvLine = (values) => `${values.map(escapeCsvField).join(',')}\r\n`;
+
+async function* generateExport(cursor, columns, format) {
+  let first = true;
+
+  if (format === 'csv') yield toCsvLine(columns);
+  if (format === 'json') yield '[';
+
+  for await (const doc of cursor) {
+    const row = toExportRow(doc, columns);
+
+    if (format === 'csv') {
+      yield toCsvLine(columns.map(column => row[column]));
+    } else if (format === 'json') {
+      yield `${first ? '\n' : ',\n'}${JSON.stringify(row)}`;
+    } else {
+      yield `${JSON.stringify(row)}\n`;
+    }
+
+    first = false;
+  }
+
+  if (format === 'json') yield first ? ']\n' : '\n]\n';
+}
+
+/**
+ * Readable stream of the export body for the given filter and sort
+ */
+export const createExportStream = ({ filter, sort, columns, format }) => {
+  const projection = [...new Set(columns.map(column => (column === 'id' ? '_id' : column.split('.')[0])))];
+
+  const cursor = Contact.find(filter)
+    .select(projection.join(' '))
+    .sort({ [sort.field]: sort.order, _id: sort.order })
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  const stream = Readable.from(generateExport(cursor, columns, format));
+  stream.on('close', () => cursor.close().catch(() => {}));
+
+  return stream;
+};
+
+export const exportFilename = (format, date = new Date()) =>
+  `contacts-${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
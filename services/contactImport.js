@@ -0,0 +1,267 @@
+import { parse } from 'csv-parse';
+import { simpleParser } from 'mailparser';
+import validator from 'validator';
+import Contact from '../models/Contact.js';
+import { contactFingerprint, hashParts } from '../utils/fingerprint.js';
+
+/**
+ * Import historical contacts from CSV or mbox. Every record runs through the
+ * Contact schema (including the tag/priority derivation in pre-save) and is
+ * keyed on email + subject + date so re-running an import is a no-op.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'mbox'];
+
+// Contact fields a CSV column can be mapped onto
+export const IMPORT_FIELDS = ['name', 'email', 'subject', 'message', 'createdAt', 'status', 'tags', 'repliedAt'];
+
+export const DEFAULT_IMPORT_STATUS = 'archived';
+
+const MAX_REPORTED_ROWS = 1000;
+
+const csvOptions = {
+  bom: true,
+  skip_empty_lines: true,
+  relax_column_count: true,
+  trim: true
+};
+
+export class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+const fieldLimit = (field) => Contact.schema.path(field).options.maxlength?.[0];
+
+/**
+ * Validate a `{ field: 'CSV header' }` mapping. Unmapped fields default to a
+ * header of the same name (case-insensitive).
+ */
+export const parseMapping = (mapping = {}) => {
+  if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+    return { mapping: null, errors: [{ field: 'mapping', message: 'mapping must be an object of field: column pairs' }] };
+  }
+
+  const unknown = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+  const nonString = Object.entries(mapping).filter(([, column]) => typeof column !== 'string' || !column.trim());
+
+  if (unknown.length > 0 || nonString.length > 0) {
+    return {
+      mapping: null,
+      errors: [
+        ...(unknown.length > 0 ? [{ field: 'mapping', message: `Unknown fields: ${unknown.join(', ')}. Allowed: ${IMPORT_FIELDS.join(', ')}` }] : []),
+        ...nonString.map(([field]) => ({ field: `mapping.${field}`, message: 'Column name must be a non-empty string' }))
+      ]
+    };
+  }
+
+  return { mapping, errors: [] };
+};
+
+const truncate = (value, max) => (max && value.length > max ? `${value.substring(0, max - 1)}…` : value);
+
+/**
+ * Escape, then truncate to the stored limit without cutting an entity (`&amp;`) in half
+ */
+const escapeAndTruncate = (value, max) => {
+  const escaped = validator.escape(value);
+  if (!max || escaped.length <= max) return escaped;
+
+  const cut = escaped.substring(0, max - 1);
+  const entityStart = cut.lastIndexOf('&');
+  const complete = entityStart === -1 || cut.indexOf(';', entityStart) !== -1;
+
+  return `${complete ? cut : cut.substring(0, entityStart)}…`;
+};
+
+/**
+ * Turn loosely-typed source values into Contact data. Text is stored escaped
+ * like form submissions; the name is left as-is because its pattern only
+ * admits the apostrophe among escapable characters and escaping would fail it.
+ */
+const toContactData = (record, { status }) => {
+  const email = String(record.email || '').trim().toLowerCase();
+  const subject = validator.unescape(String(record.subject || '').trim()) || '(no subject)';
+  const message = validator.unescape(String(record.message || '').trim());
+  const createdAt = record.createdAt ? new Date(record.createdAt) : null;
+
+  if (!createdAt || Number.isNaN(createdAt.getTime())) {
+    return { errors: [{ field: 'createdAt', message: 'A valid date is required to preserve the original timestamp' }] };
+  }
+
+  const contactStatus = record.status ? String(record.status).trim().toLowerCase() : status;
+  const sourceRepliedAt = record.repliedAt ? new Date(record.repliedAt) : null;
+  // A replied contact needs a reply date to count as answered; the submission date is the earliest it can be
+  const repliedAt = sourceRepliedAt && !Number.isNaN(sourceRepliedAt.getTime())
+    ? sourceRepliedAt
+    : (contactStatus === 'replied' ? createdAt : null);
+  const storedMessage = escapeAndTruncate(message, fieldLimit('message'));
+  const truncated = storedMessage !== validator.escape(message);
+
+  return {
+    data: {
+      name: truncate(String(record.name || email.split('@')[0] || '').trim(), fieldLimit('name')),
+      email,
+      subject: escapeAndTruncate(subject, fieldLimit('subject')),
+      message: storedMessage,
+      status: contactStatus,
+      source: 'admin',
+      tags: record.tags
+        ? String(record.tags).split(/[;,]/).map(tag => tag.trim().toLowerCase()).filter(Boolean)
+        : [],
+      ...(repliedAt && { response: { repliedAt } }),
+      fingerprint: contactFingerprint({ email, subject, message }),
+      dedupeKey: `import:${hashParts(email, subject, createdAt.toISOString())}`,
+      createdAt,
+      updatedAt: createdAt,
+      metadata: {
+        imported: true,
+        ...(truncated && { originalMessageLength: message.length })
+      }
+    },
+    errors: []
+  };
+};
+
+/**
+ * Records from CSV text or stream, with headers resolved through the mapping
+ */
+export async function* csvRecords(input, mapping = {}) {
+  const parser = (typeof input === 'string' ? parse(input, csvOptions) : input.pipe(parse(csvOptions)));
+  let columns = null;
+  let row = 1;
+
+  for await (const values of parser) {
+    if (!columns) {
+      const headers = values.map(header => String(header).trim().toLowerCase());
+      columns = Object.fromEntries(IMPORT_FIELDS.map(field => [
+        field,
+        headers.indexOf((mapping[field] || field).trim().toLowerCase())
+      ]));
+
+      const missing = ['email', 'message', 'createdAt'].filter(field => columns[field] === -1);
+      if (missing.length > 0) {
+        throw new ImportFormatError(`CSV is missing required columns: ${missing.map(field => mapping[field] || field).join(', ')}`);
+      }
+      continue;
+    }
+
+    row += 1;
+    yield {
+      row,
+      record: Object.fromEntries(
+        Object.entries(columns).filter(([, index]) => index !== -1).map(([field, index]) => [field, values[index]])
+      )
+    };
+  }
+}
+
+/**
+ * Records from an mbox file given as lines (array or async iterable)
+ */
+export async function* mboxRecords(lines) {
+  let buffer = [];
+  let row = 0;
+  let previousBlank = true;
+
+  const flush = async () => {
+    if (buffer.length === 0) return null;
+    row += 1;
+
+    const parsed = await simpleParser(buffer.join('\n'));
+    buffer = [];
+
+    const sender = parsed.from?.value?.[0] || {};
+    return {
+      row,
+      record: {
+        name: sender.name,
+        email: sender.address,
+        subject: parsed.subject,
+        message: parsed.text || (parsed.html ? validator.unescape(parsed.html.replace(/<[^>]+>/g, ' ')) : ''),
+        createdAt: parsed.date
+      }
+    };
+  };
+
+  for await (const line of lines) {
+    // "From " after a blank line starts a new message; the envelope line itself is dropped
+    if (previousBlank && line.startsWith('From ')) {
+      const message = await flush();
+      if (message) yield message;
+    } else {
+      buffer.push(line.replace(/^>(>*From )/, '$1'));
+    }
+    previousBlank = line.trim() === '';
+  }
+
+  const message = await flush();
+  if (message) yield message;
+}
+
+/**
+ * Validate and store records, returning counts plus per-row details for
+ * skipped and invalid rows
+ */
+export const importContacts = async (records, { dryRun = false, status = DEFAULT_IMPORT_STATUS, importedBy = 'Admin' } = {}) => {
+  const report = { total: 0, imported: 0, skipped: 0, invalid: 0, dryRun, rows: [] };
+
+  const note = (entry) => {
+    if (report.rows.length < MAX_REPORTED_ROWS) report.rows.push(entry);
+  };
+
+  for await (const { row, record } of records) {
+    report.total += 1;
+
+    const { data, errors } = toContactData(record, { status });
+    if (errors.length > 0) {
+      report.invalid += 1;
+      note({ row, result: 'invalid', errors });
+      continue;
+    }
+
+    data.metadata.importedBy = importedBy;
+    const contact = new Contact(data);
+
+    try {
+      await contact.validate();
+    } catch (error) {
+      report.invalid += 1;
+      note({
+        row,
+        result: 'invalid',
+        errors: Object.values(error.errors || {}).map(item => ({ field: item.path, message: item.message }))
+      });
+      continue;
+    }
+
+    if (await Contact.exists({ dedupeKey: data.dedupeKey }).withDeleted()) {
+      report.skipped += 1;
+      note({ row, result: 'skipped', reason: 'Already imported' });
+      continue;
+    }
+
+    if (dryRun) {
+      report.imported += 1;
+      continue;
+    }
+
+    try {
+      // Keep the original createdAt/updatedAt instead of stamping the import time
+      await contact.save({ timestamps: false });
+      report.imported += 1;
+    } catch (error) {
+      if (error.code === 11000) {
+        report.skipped += 1;
+        note({ row, result: 'skipped', reason: 'Already imported' });
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  report.truncatedReport = report.rows.length >= MAX_REPORTED_ROWS;
+  return report;
+};
@@ -0,0 +1,273 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+import Contact from '../models/Contact.js';
+import { BLIND_INDEXES, isFieldEncrypted } from '../config/encryption.js';
+import { blindIndex } from '../utils/fieldEncryption.js';
+
+/**
+ * Shared query layer for listing contacts - whitelisted filters and sorting,
+ * capped limits, and offset or opaque cursor pagination.
+ */
+
+export const DEFAULT_LIMIT = 10;
+export const MAX_LIMIT = 100;
+
+// Only fields present on every document can be sorted on, so keyset cursors never meet nulls.
+// Encrypted fields are left out - stored order is ciphertext order.
+export const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'subject', 'status', 'priority']
+  .filter(field => !isFieldEncrypted(field));
+
+// Fields the free-text `search` regex runs over; encrypted values cannot be pattern-matched
+export const SEARCHABLE_FIELDS = ['name', 'email', 'subject', 'message']
+  .filter(field => !isFieldEncrypted(field));
+
+/**
+ * Exact-address condition. Encrypted emails are matched on their blind index.
+ */
+export const emailCondition = (address) => {
+  const email = String(address).trim().toLowerCase();
+  return isFieldEncrypted('email') ? { [BLIND_INDEXES.email]: blindIndex(email) } : { email };
+};
+
+const enumValues = (path) => Contact.schema.path(path).enumValues;
+
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const parseBoolean = (value) => {
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return undefined;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build a Mongo filter from request query parameters.
+ * Resolves to `{ filter, errors }`; errors use the validationError shape.
+ */
+export const buildContactFilter = (query = {}) => {
+  const filter = {};
+  const errors = [];
+
+  const addEnumFilter = (param, path) => {
+    if (!query[param]) return;
+    const values = toList(query[param]);
+    const invalid = values.filter(value => !enumValues(path).includes(value));
+    if (invalid.length > 0) {
+      errors.push({ field: param, message: `${param} must be one of: ${enumValues(path).join(', ')}` });
+      return;
+    }
+    filter[path] = { $in: values };
+  };
+
+  addEnumFilter('status', 'status');
+  addEnumFilter('priority', 'priority');
+  addEnumFilter('source', 'source');
+  addEnumFilter('emailQuality', 'emailQuality.verdict');
+
+  // Spam stays out of the inbox unless explicitly requested
+  if (!query.status) {
+    filter.status = { $ne: 'spam' };
+  }
+
+  if (query.tag) {
+    filter.tags = { $in: toList(query.tag).map(tag => tag.toLowerCase()) };
+  }
+
+  if (query.country) {
+    filter['geo.country'] = { $in: toList(query.country).map(code => code.toUpperCase()) };
+  }
+
+  if (query.from || query.to) {
+    const from = query.from && parseDate(query.from);
+    let to = query.to && parseDate(query.to);
+
+    // A bare date means the whole day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) {
+      to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+
+    if (from === null) errors.push({ field: 'from', message: 'from must be a valid date' });
+    if (to === null) errors.push({ field: 'to', message: 'to must be a valid date' });
+
+    if (from || to) {
+      filter.createdAt = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+  }
+
+  if (query.hasReply !== undefined) {
+    const hasReply = parseBoolean(query.hasReply);
+    if (hasReply === undefined) {
+      errors.push({ field: 'hasReply', message: 'hasReply must be true or false' });
+    } else {
+      filter['response.repliedAt'] = hasReply ? { $exists: true, $ne: null } : { $in: [null] };
+    }
+  }
+
+  if (query.email !== undefined) {
+    if (!validator.isEmail(String(query.email).trim())) {
+      errors.push({ field: 'email', message: 'email must be a full email address' });
+    } else {
+      Object.assign(filter, emailCondition(query.email));
+    }
+  }
+
+  if (query.search) {
+    const search = String(query.search).trim().substring(0, 100);
+    const pattern = escapeRegex(search);
+
+    if (isFieldEncrypted('email') && search.includes('@') && !validator.isEmail(search)) {
+      errors.push({ field: 'search', message: 'Partial email addresses cannot be searched while emails are encrypted' });
+    }
+    filter.$or = [
+      ...SEARCHABLE_FIELDS.map(path => ({ [path]: { $regex: pattern, $options: 'i' } })),
+      // A full address still finds an encrypted email through its blind index
+      ...(isFieldEncrypted('email') && validator.isEmail(search) ? [emailCondition(search)] : [])
+    ];
+  }
+
+  return { filter, errors };
+};
+
+/**
+ * Resolves to `{ field, order, errors }`; order is 1 or -1
+ */
+export const parseSort = ({ sortBy = 'createdAt', sortOrder = 'desc' } = {}) => {
+  const errors = [];
+
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    errors.push({ field: 'sortBy', message: `sortBy must be one of: ${SORTABLE_FIELDS.join(', ')}` });
+  }
+
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    errors.push({ field: 'sortOrder', message: 'sortOrder must be either asc or desc' });
+  }
+
+  return { field: sortBy, order: sortOrder === 'asc' ? 1 : -1, errors };
+};
+
+export const parseLimit = (limit, defaultLimit = DEFAULT_LIMIT) => {
+  const parsed = parseInt(limit, 10);
+  return Number.isNaN(parsed) ? defaultLimit : Math.min(Math.max(parsed, 1), MAX_LIMIT);
+};
+
+export const parsePage = (page) => Math.max(parseInt(page, 10) || 1, 1);
+
+const serializeValue = (value) => (value instanceof Date ? { d: value.toISOString() } : value);
+const deserializeValue = (value) => (value && typeof value === 'object' && value.d ? new Date(value.d) : value);
+
+export const encodeCursor = (contact, sort, direction) => Buffer.from(JSON.stringify({
+  f: sort.field,
+  o: sort.order,
+  v: serializeValue(contact[sort.field]),
+  id: contact._id.toString(),
+  dir: direction
+})).toString('base64url');
+
+/**
+ * Decode and validate a cursor against the current sort. Returns null when invalid.
+ */
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (decoded.f !== sort.field || decoded.o !== sort.order ||
+        !mongoose.isValidObjectId(decoded.id) || !['next', 'prev'].includes(decoded.dir)) {
+      return null;
+    }
+
+    return {
+      value: deserializeValue(decoded.v),
+      id: new mongoose.Types.ObjectId(decoded.id),
+      direction: decoded.dir
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Keyset page after (next) or before (prev) the cursor position, ties broken by _id
+ */
+export const findCursorPage = async (filter, sort, limit, cursor, projection = '-__v') => {
+  const forward = !cursor || cursor.direction === 'next';
+  const order = forward ? sort.order : -sort.order;
+  const comparator = order === -1 ? '$lt' : '$gt';
+
+  const pageFilter = cursor
+    ? {
+      $and: [
+        filter,
+        {
+          $or: [
+            { [sort.field]: { [comparator]: cursor.value } },
+            { [sort.field]: cursor.value, _id: { [comparator]: cursor.id } }
+          ]
+        }
+      ]
+    }
+    : filter;
+
+  const rows = await Contact.find(pageFilter)
+    .sort({ [sort.field]: order, _id: order })
+    .limit(limit + 1)
+    .select(projection);
+
+  const hasMore = rows.length > limit;
+  const contacts = rows.slice(0, limit);
+  if (!forward) contacts.reverse();
+
+  const hasNext = forward ? hasMore : true;
+  const hasPrev = forward ? !!cursor : hasMore;
+
+  return {
+    contacts,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      hasNext: hasNext && contacts.length > 0,
+      hasPrev: hasPrev && contacts.length > 0,
+      next: hasNext && contacts.length > 0 ? encodeCursor(contacts[contacts.length - 1], sort, 'next') : null,
+      prev: hasPrev && contacts.length > 0 ? encodeCursor(contacts[0], sort, 'prev') : null
+    }
+  };
+};
+
+/**
+ * Classic skip/limit page, kept for backward compatibility
+ */
+export const findOffsetPage = async (filter, sort, limit, page, projection = '-__v') => {
+  const [contacts, total] = await Promise.all([
+    Contact.find(filter)
+      .sort({ [sort.field]: sort.order, _id: sort.order })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(projection),
+    Contact.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    contacts,
+    pagination: {
+      mode: 'offset',
+      current: page,
+      limit,
+      pages: totalPages,
+      total,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
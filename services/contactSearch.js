@@ -0,0 +1,237 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+import Contact from '../models/Contact.js';
+import { isFieldEncrypted } from '../config/encryption.js';
+import { SEARCHABLE_FIELDS, emailCondition, escapeRegex } from './contactQuery.js';
+
+/**
+ * Full-text search over contacts backed by the Contact text index.
+ *
+ * Query syntax:
+ *   word            match the (stemmed) term
+ *   "some phrase"   match the exact phrase
+ *   -word, -"x y"   exclude documents containing the term or phrase
+ *   from:value      sender email or name contains value (exact address only when emails are encrypted)
+ *   tag:value       contact carries the tag (repeatable)
+ */
+
+const SNIPPET_FIELDS = ['subject', 'message'];
+const SNIPPET_RADIUS = 60;
+const MAX_SNIPPETS = 3;
+const MAX_QUERY_LENGTH = 200;
+
+// What a search hit exposes - internal bookkeeping (hashes, thread, history, spam details) stays out
+export const RESULT_FIELDS = [
+  'name', 'email', 'subject', 'message', 'status', 'priority', 'tags', 'source',
+  'emailQuality', 'geo', 'duplicateCount', 'lastDuplicateAt', 'createdAt', 'updatedAt'
+];
+
+const TOKEN_PATTERN = /(-)?(?:(from|tag):)?(?:"([^"]*)"|(\S+))/gi;
+
+/**
+ * Split a raw query string into text terms, phrases, negations and field scopes
+ */
+export const parseSearchQuery = (raw = '') => {
+  const parsed = { terms: [], phrases: [], negatedTerms: [], negatedPhrases: [], from: [], tags: [] };
+  const input = String(raw).substring(0, MAX_QUERY_LENGTH);
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [, negated, field, phrase, word] = match;
+    const value = (phrase ?? word ?? '').trim();
+    if (!value) continue;
+
+    if (field) {
+      const key = field.toLowerCase() === 'from' ? 'from' : 'tags';
+      parsed[key].push(key === 'tags' ? value.toLowerCase() : value);
+    } else if (phrase !== undefined) {
+      parsed[negated ? 'negatedPhrases' : 'phrases'].push(value);
+    } else {
+      parsed[negated ? 'negatedTerms' : 'terms'].push(value);
+    }
+  }
+
+  return parsed;
+};
+
+const hasPositiveText = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+/**
+ * Queries with text terms rank by relevance; scope-only queries fall back to newest first
+ */
+export const searchMode = (parsed) => (hasPositiveText(parsed) ? 'score' : 'date');
+
+/**
+ * Rebuild the $text search string; negations are only valid alongside positive terms
+ */
+export const toTextSearch = (parsed) => [
+  ...parsed.terms,
+  ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+  ...parsed.negatedTerms.map(term => `-${term}`),
+  ...parsed.negatedPhrases.map(phrase => `-"${phrase.replace(/"/g, '')}"`)
+].join(' ');
+
+/**
+ * Reject scopes that would need a pattern match against an encrypted field
+ */
+export const validateSearchQuery = (parsed) => {
+  const errors = [];
+
+  if (isFieldEncrypted('email')) {
+    for (const from of parsed.from) {
+      if (from.includes('@') && !validator.isEmail(from)) {
+        errors.push({ field: 'q', message: `from:${from} - partial email addresses cannot be searched while emails are encrypted` });
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Field-scoped conditions (from:, tag:) plus regex negations when there is no $text to carry them
+ */
+export const buildScopeFilter = (parsed) => {
+  const conditions = [];
+  const fromFields = SEARCHABLE_FIELDS.filter(path => path === 'email' || path === 'name');
+
+  for (const from of parsed.from) {
+    const pattern = escapeRegex(from);
+    conditions.push({
+      $or: [
+        ...fromFields.map(path => ({ [path]: { $regex: pattern, $options: 'i' } })),
+        // Full addresses also match exactly, through the blind index when emails are encrypted
+        ...(validator.isEmail(from) ? [emailCondition(from)] : [])
+      ]
+    });
+  }
+
+  if (parsed.tags.length > 0) {
+    conditions.push({ tags: { $all: parsed.tags } });
+  }
+
+  if (!hasPositiveText(parsed)) {
+    for (const excluded of [...parsed.negatedTerms, ...parsed.negatedPhrases]) {
+      const pattern = escapeRegex(excluded);
+      conditions.push({
+        $nor: SEARCHABLE_FIELDS.map(path => ({ [path]: { $regex: pattern, $options: 'i' } }))
+      });
+    }
+  }
+
+  return conditions;
+};
+
+export const encodeSearchCursor = (contact, mode) => Buffer.from(JSON.stringify({
+  m: mode,
+  s: mode === 'score' ? contact.score : contact.createdAt.toISOString(),
+  id: contact._id.toString()
+})).toString('base64url');
+
+export const decodeSearchCursor = (cursor, mode) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded.m !== mode || !mongoose.isValidObjectId(decoded.id)) return null;
+
+    const value = mode === 'score' ? Number(decoded.s) : new Date(decoded.s);
+    if (mode === 'score' ? !Number.isFinite(value) : Number.isNaN(value.getTime())) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const highlightPatterns = (parsed) => [
+  // Text search stems terms, so highlight whole words that start with the term
+  ...parsed.terms.map(term => `\\b${escapeRegex(term)}\\w*`),
+  ...parsed.phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+'))
+];
+
+/**
+ * Build highlighted fragments for one field. Output is HTML-escaped with matches wrapped in <mark>.
+ */
+export const buildSnippets = (storedText, parsed, { radius = SNIPPET_RADIUS, max = MAX_SNIPPETS } = {}) => {
+  const patterns = highlightPatterns(parsed);
+  if (!storedText || patterns.length === 0) return [];
+
+  const text = validator.unescape(storedText);
+  const regex = new RegExp(patterns.join('|'), 'gi');
+  const matches = [...text.matchAll(regex)].filter(match => match[0].length > 0);
+  if (matches.length === 0) return [];
+
+  // Merge overlapping windows so neighbouring matches share a fragment
+  const windows = [];
+  for (const match of matches) {
+    const start = Math.max(match.index - radius, 0);
+    const end = Math.min(match.index + match[0].length + radius, text.length);
+    const last = windows[windows.length - 1];
+
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+      last.matches.push(match);
+    } else {
+      windows.push({ start, end, matches: [match] });
+    }
+  }
+
+  return windows.slice(0, max).map(({ start, end, matches: windowMatches }) => {
+    let fragment = '';
+    let position = start;
+
+    for (const match of windowMatches) {
+      fragment += validator.escape(text.slice(position, match.index));
+      fragment += `<mark>${validator.escape(match[0])}</mark>`;
+      position = match.index + match[0].length;
+    }
+    fragment += validator.escape(text.slice(position, end));
+
+    return `${start > 0 ? '…' : ''}${fragment.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+  });
+};
+
+/**
+ * Run a search. `filter` carries the regular listing filters (status, priority, ...).
+ * Results are ordered by relevance when the query has text terms, otherwise newest first.
+ */
+export const searchContacts = async (parsed, { filter = {}, limit = 20, cursor = null } = {}) => {
+  const mode = searchMode(parsed);
+  const scope = buildScopeFilter(parsed);
+  const baseFilter = scope.length > 0 ? { $and: [filter, ...scope] } : filter;
+
+  const [rows, total] = await Promise.all([
+    Contact.search(mode === 'score' ? toTextSearch(parsed) : null, {
+      filter: baseFilter,
+      limit: limit + 1,
+      after: cursor,
+      fields: RESULT_FIELDS
+    }),
+    Contact.countDocuments(mode === 'score' ? { ...baseFilter, $text: { $search: toTextSearch(parsed) } } : baseFilter)
+  ]);
+
+  const hasNext = rows.length > limit;
+  const results = rows.slice(0, limit).map(contact => {
+    const { _id, score, ...rest } = contact;
+    const highlights = {};
+
+    for (const field of SNIPPET_FIELDS) {
+      const snippets = buildSnippets(contact[field], parsed);
+      if (snippets.length > 0) highlights[field] = snippets;
+    }
+
+    return { id: _id, ...rest, score: mode === 'score' ? score : null, highlights };
+  });
+
+  const last = rows[limit - 1];
+
+  return {
+    results,
+    query: parsed,
+    pagination: {
+      mode,
+      limit,
+      total,
+      hasNext,
+      next: hasNext && last ? encodeSearchCursor(last, mode) : null
+    }
+  };
+};
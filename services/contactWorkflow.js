@@ -0,0 +1,94 @@
+/**
+ * Contact status workflow. Every status change goes through a named action
+ * with a fixed set of source states, so a contact can never land in a state
+ * the rest of the system does not know about.
+ *
+ *   new ──mark_read──▶ read ──mark_unread──▶ new
+ *   new/read/replied ──reply──▶ replied
+ *   new/read/replied/spam ──archive──▶ archived ──reopen──▶ new
+ *   new/read ──mark_spam──▶ spam ──release──▶ new
+ */
+
+export const CONTACT_STATUSES = ['new', 'read', 'replied', 'archived', 'spam'];
+
+export const STATUS_ACTIONS = {
+  mark_read: { from: ['new'], to: 'read' },
+  mark_unread: { from: ['read'], to: 'new' },
+  reply: { from: ['new', 'read', 'replied'], to: 'replied' },
+  archive: { from: ['new', 'read', 'replied', 'spam'], to: 'archived' },
+  // Explicit actions are never inferred from a bare target status
+  reopen: { from: ['archived'], to: 'new', explicit: true },
+  mark_spam: { from: ['new', 'read'], to: 'spam' },
+  release: { from: ['spam'], to: 'new', explicit: true }
+};
+
+export class StatusTransitionError extends Error {
+  constructor(message, { from, to, action, allowedActions }) {
+    super(message);
+    this.name = 'StatusTransitionError';
+    this.statusCode = 422;
+    this.details = { from, to, action, allowedActions };
+  }
+}
+
+/**
+ * Actions that can be applied from the given status
+ */
+export const allowedActions = (from) => Object.entries(STATUS_ACTIONS)
+  .filter(([, definition]) => definition.from.includes(from))
+  .map(([name, definition]) => ({ action: name, to: definition.to }));
+
+/**
+ * Resolve `{ action }` or `{ status }` against the current status.
+ * Returns `{ action, from, to }` or throws StatusTransitionError.
+ */
+export const resolveTransition = (from, { action, status } = {}) => {
+  if (action) {
+    const definition = STATUS_ACTIONS[action];
+
+    if (!definition) {
+      throw new StatusTransitionError(`Unknown action "${action}"`, { from, action, allowedActions: allowedActions(from) });
+    }
+
+    if (status && status !== definition.to) {
+      throw new StatusTransitionError(`Action "${action}" moves a contact to "${definition.to}", not "${status}"`, {
+        from, to: status, action, allowedActions: allowedActions(from)
+      });
+    }
+
+    if (!definition.from.includes(from)) {
+      throw new StatusTransitionError(`Action "${action}" is not allowed for a contact that is "${from}"`, {
+        from, to: definition.to, action, allowedActions: allowedActions(from)
+      });
+    }
+
+    return { action, from, to: definition.to };
+  }
+
+  const match = Object.entries(STATUS_ACTIONS)
+    .find(([, definition]) => !definition.explicit && definition.to === status && definition.from.includes(from));
+
+  if (!match) {
+    const explicit = Object.entries(STATUS_ACTIONS)
+      .find(([, definition]) => definition.explicit && definition.to === status && definition.from.includes(from));
+
+    throw new StatusTransitionError(
+      explicit
+        ? `A "${from}" contact can only move to "${status}" with the "${explicit[0]}" action`
+        : `Cannot move a contact from "${from}" to "${status}"`,
+      { from, to: status, allowedActions: allowedActions(from) }
+    );
+  }
+
+  return { action: match[0], from, to: status };
+};
+
+/**
+ * Source states from which `status` is reachable without an explicit action,
+ * keyed by source state - used by bulk updates
+ */
+export const transitionsInto = (status) => Object.fromEntries(
+  Object.entries(STATUS_ACTIONS)
+    .filter(([, definition]) => !definition.explicit && definition.to === status)
+    .flatMap(([name, definition]) => definition.from.map(from => [from, name]))
+);
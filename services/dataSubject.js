@@ -0,0 +1,220 @@
+import jwt from 'jsonwebtoken';
+import validator from 'validator';
+import brandingConfig from '../config/branding.js';
+import privacyConfig, { isPrivacyConfigured } from '../config/privacy.js';
+import Contact from '../models/Contact.js';
+import ContactArchive from '../models/ContactArchive.js';
+import DataSubjectRequest from '../models/DataSubjectRequest.js';
+import EmailOutbox from '../models/EmailOutbox.js';
+import emailOutbox from './email/outbox.js';
+import { renderEmail } from './email/templates.js';
+
+// Internal hashes and bookkeeping that say nothing about the person
+const INTERNAL_FIELDS = ['__v', 'fingerprint', 'dedupeKey', 'emailHash'];
+const ESCAPED_FIELDS = ['name', 'subject', 'message'];
+
+export class DataSubjectRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DataSubjectRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+const signRequestToken = (request) => {
+  const token = jwt.sign(
+    { type: 'data_subject_request', email: request.email },
+    privacyConfig.tokenSecret,
+    {
+      subject: String(request._id),
+      expiresIn: privacyConfig.tokenExpiresIn,
+      issuer: privacyConfig.issuer,
+      audience: privacyConfig.audience
+    }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+const verificationUrl = (token) => {
+  const url = new URL(privacyConfig.verifyUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Open a request for an address and email it a signed, expiring verification link.
+ * Callers should answer identically whether or not any data exists for the address.
+ */
+export const createRequest = async (email, meta = {}) => {
+  if (!isPrivacyConfigured()) {
+    throw new DataSubjectRequestError('Data requests are not available at the moment', 503);
+  }
+
+  const normalized = email.trim().toLowerCase();
+
+  const recent = await DataSubjectRequest.findOne({
+    email: normalized,
+    status: 'pending',
+    createdAt: { $gt: new Date(Date.now() - privacyConfig.resendCooldownMs) }
+  }).sort({ createdAt: -1 });
+
+  if (recent) {
+    await recent.logAction('resend_throttled', meta).save();
+    return recent;
+  }
+
+  const request = new DataSubjectRequest({ email: normalized, expiresAt: new Date() });
+  const { token, expiresAt } = signRequestToken(request);
+  request.expiresAt = expiresAt;
+  request.logAction('requested', meta);
+
+  const template = renderEmail('dataSubjectVerification', {
+    email: normalized,
+    verifyUrl: verificationUrl(token),
+    expiresAt
+  });
+
+  const entry = await emailOutbox.enqueue({
+    from: { name: brandingConfig.senderName },
+    to: normalized,
+    ...template
+  }, { type: 'data_subject_verification' });
+
+  request.logAction('verification_sent', { actor: 'system', detail: { outboxId: entry._id } });
+  await request.save();
+
+  console.log(`Data subject request ${request._id} opened`);
+  return request;
+};
+
+/**
+ * Resolve a verification token to its open request, marking it verified on first use.
+ * Throws DataSubjectRequestError for invalid, expired or already completed requests.
+ */
+export const resolveRequest = async (token, meta = {}) => {
+  if (!isPrivacyConfigured() || !token || typeof token !== 'string') {
+    throw new DataSubjectRequestError('Invalid or expired verification link', 401);
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, privacyConfig.tokenSecret, {
+      issuer: privacyConfig.issuer,
+      audience: privacyConfig.audience
+    });
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      await DataSubjectRequest.expireStale();
+    }
+    throw new DataSubjectRequestError('Invalid or expired verification link', 401);
+  }
+
+  const request = payload.type === 'data_subject_request' && await DataSubjectRequest.findById(payload.sub);
+
+  if (!request || request.email !== payload.email) {
+    throw new DataSubjectRequestError('Invalid or expired verification link', 401);
+  }
+
+  if (request.status === 'completed') {
+    throw new DataSubjectRequestError('This request has already been completed', 410);
+  }
+
+  if (!request.isOpen()) {
+    throw new DataSubjectRequestError('Invalid or expired verification link', 401);
+  }
+
+  if (request.status === 'pending') {
+    request.status = 'verified';
+    request.verifiedAt = new Date();
+    request.logAction('verified', meta);
+    await request.save();
+  }
+
+  return request;
+};
+
+/**
+ * Number of stored records tied to an address
+ */
+export const countSubjectRecords = async (email) => {
+  const [contacts, archived] = await Promise.all([
+    Contact.countDocuments({ email }).withDeleted(),
+    ContactArchive.countDocuments({ email })
+  ]);
+
+  return { contacts, archived };
+};
+
+const toSubjectRecord = (record) => {
+  const copy = { ...record, id: record._id };
+  delete copy._id;
+  INTERNAL_FIELDS.forEach(field => delete copy[field]);
+
+  // Submissions are stored HTML-escaped; hand the person back what they actually wrote
+  ESCAPED_FIELDS.forEach(field => {
+    if (typeof copy[field] === 'string') copy[field] = validator.unescape(copy[field]);
+  });
+
+  return copy;
+};
+
+/**
+ * Every record tied to the request's address, as a JSON-serialisable document
+ */
+export const exportSubjectData = async (request, meta = {}) => {
+  const [contacts, archived] = await Promise.all([
+    Contact.find({ email: request.email }).withDeleted().sort({ createdAt: 1 }).lean(),
+    ContactArchive.find({ email: request.email }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  request.logAction('exported', { ...meta, detail: { contacts: contacts.length, archived: archived.length } });
+  await request.save();
+
+  return {
+    request: {
+      id: request._id,
+      email: request.email,
+      generatedAt: new Date()
+    },
+    controller: {
+      name: brandingConfig.ownerName,
+      contact: brandingConfig.contactEmail
+    },
+    contacts: contacts.map(toSubjectRecord),
+    archived: archived.map(toSubjectRecord)
+  };
+};
+
+/**
+ * Delete or anonymize every record tied to the request's address and complete the request.
+ * Queued and sent emails are removed in both modes since they carry the original content.
+ */
+export const eraseSubjectData = async (request, mode, meta = {}) => {
+  const ids = await Contact.find({ email: request.email }).withDeleted().distinct('_id');
+
+  const contactResult = mode === 'delete'
+    ? await Contact.deleteMany({ _id: { $in: ids } }).withDeleted()
+    : await Contact.anonymizeMany({ _id: { $in: ids } });
+
+  const [archiveResult, outboxResult] = await Promise.all([
+    ContactArchive.deleteMany({ email: request.email }),
+    EmailOutbox.deleteMany({ $or: [{ contact: { $in: ids } }, { 'message.to': request.email }] })
+  ]);
+
+  const outcome = {
+    action: mode,
+    contacts: mode === 'delete' ? contactResult.deletedCount : contactResult.modifiedCount,
+    archived: archiveResult.deletedCount,
+    outbox: outboxResult.deletedCount
+  };
+
+  request.status = 'completed';
+  request.completedAt = new Date();
+  request.outcome = outcome;
+  request.logAction(mode === 'delete' ? 'deleted' : 'anonymized', { ...meta, detail: outcome });
+  await request.save();
+
+  console.log(`Data subject request ${request._id} completed:`, outcome);
+  return request;
+};
@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+import digestConfig from '../config/digest.js';
+import brandingConfig from '../config/branding.js';
+import Contact from '../models/Contact.js';
+import NotificationRecipient from '../models/NotificationRecipient.js';
+import emailOutbox from './email/outbox.js';
+import { renderEmail } from './email/templates.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DIGEST_FREQUENCIES = {
+  daily: { days: 1, label: 'Daily' },
+  weekly: { days: 7, label: 'Weekly' }
+};
+
+/**
+ * The most recent complete digest period at `now`. Periods end at the
+ * configured UTC hour (on the configured weekday for weekly digests).
+ */
+export const digestPeriod = (frequency, now = new Date()) => {
+  const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), digestConfig.hourUtc));
+  if (to > now) to.setUTCDate(to.getUTCDate() - 1);
+
+  if (frequency === 'weekly') {
+    to.setUTCDate(to.getUTCDate() - ((to.getUTCDay() - digestConfig.weeklyDay + 7) % 7));
+  }
+
+  const length = DIGEST_FREQUENCIES[frequency].days * DAY;
+
+  return {
+    from: new Date(to.getTime() - length),
+    to,
+    previousFrom: new Date(to.getTime() - 2 * length)
+  };
+};
+
+const summarize = (contact) => ({
+  contactId: String(contact._id),
+  name: validator.unescape(contact.name || ''),
+  email: contact.email,
+  subject: validator.unescape(contact.subject || ''),
+  priority: contact.priority,
+  status: contact.status,
+  submittedAt: contact.createdAt
+});
+
+/**
+ * Compile digest contents for [from, to): new, unanswered, urgent and spam
+ * contacts, top tags and volume against the previous period of equal length
+ */
+export const buildDigest = async ({ from, to, previousFrom }) => {
+  const inPeriod = { createdAt: { $gte: from, $lt: to } };
+  const awaitingReply = { status: { $in: ['new', 'read'] }, 'response.repliedAt': null, createdAt: { $lt: to } };
+  const limit = digestConfig.listLimit;
+
+  const [
+    newCount,
+    newContacts,
+    unansweredCount,
+    unanswered,
+    urgentCount,
+    urgent,
+    spamCount,
+    previousCount,
+    topTags
+  ] = await Promise.all([
+    Contact.countDocuments({ ...inPeriod, status: { $ne: 'spam' } }),
+    Contact.find({ ...inPeriod, status: { $ne: 'spam' } }).sort({ createdAt: -1 }).limit(limit),
+    Contact.countDocuments(awaitingReply),
+    Contact.find(awaitingReply).sort({ createdAt: 1 }).limit(limit),
+    Contact.countDocuments({ ...awaitingReply, priority: { $in: ['urgent', 'high'] } }),
+    Contact.find({ ...awaitingReply, priority: { $in: ['urgent', 'high'] } }).sort({ createdAt: 1 }).limit(limit),
+    Contact.countDocuments({ ...inPeriod, status: 'spam' }),
+    Contact.countDocuments({ createdAt: { $gte: previousFrom, $lt: from }, status: { $ne: 'spam' } }),
+    Contact.aggregate([
+      { $match: { ...inPeriod, status: { $ne: 'spam' } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 5 }
+    ])
+  ]);
+
+  const change = newCount - previousCount;
+
+  return {
+    from,
+    to,
+    isEmpty: newCount === 0 && unansweredCount === 0 && spamCount === 0,
+    newContacts: { count: newCount, items: newContacts.map(summarize) },
+    unanswered: { count: unansweredCount, items: unanswered.map(summarize) },
+    urgent: { count: urgentCount, items: urgent.map(summarize) },
+    spam: { count: spamCount },
+    topTags: topTags.map(({ _id, count }) => ({ tag: _id, count })),
+    volume: {
+      current: newCount,
+      previous: previousCount,
+      change,
+      changePercent: previousCount > 0 ? Number(((change / previousCount) * 100).toFixed(1)) : null,
+      trend: change > 0 ? 'up' : change < 0 ? 'down' : 'flat',
+      summary: previousCount > 0
+        ? `${change >= 0 ? '+' : ''}${((change / previousCount) * 100).toFixed(0)}% vs ${previousCount} in the previous period`
+        : `${newCount} new, none in the previous period`
+    }
+  };
+};
+
+/**
+ * Sends daily and weekly digests to recipients who opted in. Each recipient
+ * records the last period it received, so a period is delivered at most once
+ * and a missed run catches up on the next check.
+ */
+class DigestScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  async sendDigest(frequency, now = new Date()) {
+    const period = digestPeriod(frequency, now);
+    const due = { $or: [{ lastDigestPeriodEnd: null }, { lastDigestPeriodEnd: { $lt: period.to } }] };
+    const recipients = await NotificationRecipient.find(due).digest(frequency);
+
+    if (recipients.length === 0) return 0;
+
+    const digest = await buildDigest(period);
+    const template = digest.isEmpty && !digestConfig.sendEmpty
+      ? null
+      : renderEmail('adminDigest', { ...digest, frequency: DIGEST_FREQUENCIES[frequency].label });
+    let sent = 0;
+
+    for (const recipient of recipients) {
+      // Claim the period first so concurrent runs never send it twice
+      const claimed = await NotificationRecipient.findOneAndUpdate(
+        { _id: recipient._id, ...due },
+        { $set: { lastDigestPeriodEnd: period.to } }
+      );
+
+      if (!claimed || !template) continue;
+
+      await emailOutbox.enqueue({
+        from: { name: brandingConfig.systemName },
+        to: recipient.email,
+        toName: recipient.name || brandingConfig.ownerName,
+        ...template
+      }, { type: `admin_digest_${frequency}` });
+      sent++;
+    }
+
+    if (sent > 0) {
+      console.log(`${DIGEST_FREQUENCIES[frequency].label} digest queued for ${sent} recipient(s)`);
+    }
+
+    return sent;
+  }
+
+  async runOnce() {
+    if (this.running || mongoose.connection.readyState !== 1) {
+      return 0;
+    }
+
+    this.running = true;
+    let sent = 0;
+
+    try {
+      for (const frequency of Object.keys(DIGEST_FREQUENCIES)) {
+        sent += await this.sendDigest(frequency);
+      }
+    } catch (error) {
+      console.error('Digest scheduler error:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return sent;
+  }
+
+  start() {
+    if (this.timer || !digestConfig.enabled) return;
+
+    this.timer = setInterval(() => this.runOnce(), digestConfig.checkIntervalMs);
+    this.timer.unref();
+    console.log(`Digest scheduler started (check every ${digestConfig.checkIntervalMs}ms)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const digestScheduler = new DigestScheduler();
+
+export default digestScheduler;
@@ -0,0 +1,80 @@
+import emailConfig from '../../config/email.js';
+import { createTransport } from './transports/index.js';
+
+/**
+ * Premium Email Service with pluggable transports and failover
+ */
+class EmailService {
+  constructor() {
+    this.transports = [emailConfig.transport, emailConfig.fallbackTransport]
+      .filter((name, index, names) => name && names.indexOf(name) === index)
+      .map(createTransport)
+      .filter(transport => {
+        if (!transport.isConfigured) {
+          console.warn(`Email transport "${transport.name}" not configured - skipping`);
+        }
+        return transport.isConfigured;
+      });
+
+    this.isConfigured = this.transports.length > 0;
+
+    if (this.isConfigured) {
+      console.log(`Email service initialized with transports: ${this.providers.join(' -> ')}`);
+    } else {
+      console.warn('No email transport configured - email notifications disabled');
+    }
+  }
+
+  get providers() {
+    return this.transports.map(transport => transport.name);
+  }
+
+  buildMessage(mailOptions) {
+    return {
+      from: {
+        name: mailOptions.from?.name || emailConfig.from.name,
+        email: mailOptions.from?.email || emailConfig.from.email
+      },
+      to: {
+        email: mailOptions.to,
+        name: mailOptions.toName || ''
+      },
+      replyTo: mailOptions.replyTo || emailConfig.replyTo,
+      subject: mailOptions.subject,
+      html: mailOptions.html,
+      text: mailOptions.text
+    };
+  }
+
+  /**
+   * Send through the primary transport, falling back to the secondary on failure.
+   * Resolves to `{ messageId, provider }`.
+   */
+  async sendEmail(mailOptions) {
+    if (!this.isConfigured) {
+      throw new Error('Email service not configured');
+    }
+
+    const message = this.buildMessage(mailOptions);
+    const failures = [];
+
+    for (const transport of this.transports) {
+      try {
+        const result = await transport.send(message);
+
+        console.log(`Email sent successfully to ${message.to.email} via ${transport.name}`);
+        console.log(`Message ID: ${result.messageId}`);
+        return { ...result, provider: transport.name };
+      } catch (error) {
+        console.error(`Email sending failed via ${transport.name}:`, error.message);
+        failures.push(`${transport.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All email transports failed (${failures.join('; ')})`);
+  }
+}
+
+const emailService = new EmailService();
+
+export default emailService;
@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+import outboxConfig from '../../config/outbox.js';
+import EmailOutbox from '../../models/EmailOutbox.js';
+import emailService from './emailService.js';
+
+/**
+ * Exponential backoff with +/-10% jitter, capped at maxDelayMs
+ */
+export const getRetryDelay = (attempt) => {
+  const delay = Math.min(
+    outboxConfig.baseDelayMs * 2 ** Math.max(attempt - 1, 0),
+    outboxConfig.maxDelayMs
+  );
+  const jitter = delay * 0.1 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+};
+
+/**
+ * Map an outbox status onto the thread message delivery states.
+ * Entries still being retried stay `pending`; only dead-lettered ones count as failed.
+ */
+export const toThreadDeliveryStatus = (outboxStatus) => {
+  if (outboxStatus === 'sent') return 'sent';
+  if (outboxStatus === 'dead') return 'failed';
+  return 'pending';
+};
+
+/**
+ * Durable email outbox - every outgoing email is persisted before delivery
+ * and retried by an in-process worker until it is sent or dead-lettered.
+ */
+class EmailOutboxWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  buildEntry(mailOptions, { type, contact, threadMessageId } = {}) {
+    return {
+      type,
+      contact: contact?._id || contact,
+      threadMessageId,
+      message: {
+        from: mailOptions.from,
+        to: mailOptions.to,
+        toName: mailOptions.toName,
+        replyTo: mailOptions.replyTo,
+        subject: mailOptions.subject,
+        html: mailOptions.html,
+        text: mailOptions.text
+      },
+      maxAttempts: outboxConfig.maxAttempts
+    };
+  }
+
+  /**
+   * Persist an email for background delivery. Accepts the same options as emailService.sendEmail.
+   */
+  async enqueue(mailOptions, options) {
+    const entry = await EmailOutbox.create({
+      ...this.buildEntry(mailOptions, options),
+      nextAttemptAt: new Date()
+    });
+
+    this.kick();
+    return entry;
+  }
+
+  /**
+   * Persist an email and attempt the first delivery inline. Failures stay
+   * queued for the worker, so callers can report the outcome without losing the email.
+   */
+  async enqueueAndSend(mailOptions, options) {
+    const entry = await EmailOutbox.create({
+      ...this.buildEntry(mailOptions, options),
+      status: 'sending',
+      lockedAt: new Date()
+    });
+
+    return this.deliver(entry);
+  }
+
+  async deliver(entry) {
+    const attempt = entry.attempts + 1;
+
+    try {
+      const result = await emailService.sendEmail(entry.toObject().message);
+
+      // The body is only needed until delivery; dead-lettered entries keep it (encrypted) for requeueing
+      entry.set({
+        status: 'sent',
+        attempts: attempt,
+        sentAt: new Date(),
+        provider: result.provider,
+        providerMessageId: result.messageId,
+        lockedAt: undefined,
+        lastError: undefined,
+        'message.html': undefined,
+        'message.text': undefined
+      });
+    } catch (error) {
+      const exhausted = attempt >= entry.maxAttempts;
+
+      entry.set({
+        status: exhausted ? 'dead' : 'failed',
+        attempts: attempt,
+        lockedAt: undefined,
+        lastError: error.message.substring(0, 1000),
+        nextAttemptAt: exhausted ? undefined : new Date(Date.now() + getRetryDelay(attempt))
+      });
+      entry.errorHistory.push({ attempt, error: error.message.substring(0, 500), at: new Date() });
+
+      console.error(`Outbox delivery failed (${attempt}/${entry.maxAttempts}) for ${entry._id}:`, error.message);
+      if (exhausted) {
+        console.error(`Outbox entry ${entry._id} moved to dead-letter state`);
+      }
+    }
+
+    await entry.save();
+    await this.syncThreadDelivery(entry);
+    return entry;
+  }
+
+  /**
+   * Mirror the delivery result onto the contact thread message the email belongs to
+   */
+  async syncThreadDelivery(entry) {
+    if (!entry.contact || !entry.threadMessageId) {
+      return;
+    }
+
+    const Contact = mongoose.model('Contact');
+
+    await Contact.updateOne(
+      { _id: entry.contact, 'thread._id': entry.threadMessageId },
+      {
+        $set: {
+          'thread.$.delivery.status': toThreadDeliveryStatus(entry.status),
+          'thread.$.delivery.messageId': entry.providerMessageId,
+          'thread.$.delivery.error': entry.lastError,
+          'thread.$.delivery.attemptedAt': new Date()
+        }
+      }
+    ).withDeleted();
+  }
+
+  async processBatch() {
+    if (this.running || mongoose.connection.readyState !== 1) {
+      return 0;
+    }
+
+    this.running = true;
+    let processed = 0;
+
+    try {
+      while (processed < outboxConfig.batchSize) {
+        const entry = await EmailOutbox.claimNext(outboxConfig.lockTimeoutMs);
+        if (!entry) break;
+
+        await this.deliver(entry);
+        processed++;
+      }
+    } catch (error) {
+      console.error('Outbox worker error:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Process due entries soon without waiting for the next poll
+   */
+  kick() {
+    if (this.timer) {
+      setImmediate(() => this.processBatch());
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    if (!emailService.isConfigured) {
+      console.warn('Email service not configured - outbox worker not started');
+      return;
+    }
+
+    this.timer = setInterval(() => this.processBatch(), outboxConfig.pollIntervalMs);
+    this.timer.unref();
+    console.log(`Email outbox worker started (poll every ${outboxConfig.pollIntervalMs}ms)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Put failed or dead-lettered entries back in the queue with a fresh attempt budget
+   */
+  async requeue(filter = {}) {
+    const result = await EmailOutbox.updateMany(
+      { status: { $in: ['failed', 'dead'] }, ...filter },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          maxAttempts: outboxConfig.maxAttempts
+        },
+        $unset: { lockedAt: 1 }
+      }
+    );
+
+    this.kick();
+    return result;
+  }
+}
+
+const emailOutbox = new EmailOutboxWorker();
+
+export default emailOutbox;
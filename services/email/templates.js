@@ -0,0 +1,213 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import validator from 'validator';
+import brandingConfig from '../../config/branding.js';
+
+const TEMPLATE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../templates/emails');
+
+// Reload template files on every render in development so designs can be iterated on live
+const cacheEnabled = process.env.NODE_ENV !== 'development';
+
+const engine = Handlebars.create();
+
+const DATE_FORMAT = {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+};
+
+engine.registerHelper('urlencode', value => encodeURIComponent(value ?? ''));
+
+engine.registerHelper('nl2br', value => new engine.SafeString(
+  engine.Utils.escapeExpression(value ?? '').replace(/\r?\n/g, '<br>')
+));
+
+engine.registerHelper('capitalize', value => {
+  const text = String(value ?? '');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+});
+
+engine.registerHelper('formatDate', (value, options) => new Date(value || Date.now()).toLocaleString('en-US', {
+  ...DATE_FORMAT,
+  ...(options.hash.timeZoneName && { timeZoneName: 'short' })
+}));
+
+engine.registerHelper('uppercase', value => String(value ?? '').toUpperCase());
+
+engine.registerHelper('quote', value => String(value ?? '')
+  .split(/\r?\n/)
+  .map(line => `> ${line}`)
+  .join('\n'));
+
+const buildReplyBody = ({ name, subject }) =>
+  `Dear ${name},\n\nThank you for your message regarding '${subject}'. I appreciate you reaching out and would like to discuss this further.\n\nBest regards,\n${brandingConfig.ownerName}`;
+
+const sampleContact = {
+  name: 'Jane O\'Connor',
+  email: 'jane.oconnor@example.com',
+  subject: 'Website redesign & <API> integration',
+  message: 'Hi,\n\nWe are planning a redesign of our company website and need a React frontend with a Node.js API.\nCould we schedule a call next week?\n\nThanks, Jane',
+  contactId: '65f1c2a9e4b0a1b2c3d4e5f6',
+  priority: 'high',
+  source: 'website',
+  submittedAt: new Date('2025-01-15T10:30:00Z')
+};
+
+/**
+ * Template registry. Each entry maps to `<name>.html.hbs` and `<name>.text.hbs`
+ * in the template directory; `subject` is rendered as plain text.
+ */
+const definitions = {
+  userConfirmation: {
+    subject: 'Confirmation: Your Message Has Been Received - {{branding.ownerName}}',
+    sample: () => sampleContact
+  },
+  adminNotification: {
+    subject: 'New Portfolio Inquiry: {{subject}}',
+    sample: () => ({
+      ...sampleContact,
+      replySubject: `Re: ${sampleContact.subject}`,
+      replyBody: buildReplyBody(sampleContact)
+    })
+  },
+  contactReply: {
+    subject: '{{replySubject}}',
+    sample: () => ({
+      ...sampleContact,
+      replySubject: `Re: ${sampleContact.subject}`,
+      replyMessage: 'Hi Jane,\n\nThanks for reaching out! Next Tuesday at 3pm works for me.\n\nBest regards'
+    })
+  },
+  slaEscalation: {
+    subject: 'SLA breach ({{capitalize priority}}): {{subject}} - {{overdueBy}} overdue',
+    sample: () => ({
+      ...sampleContact,
+      replySubject: `Re: ${sampleContact.subject}`,
+      replyBody: buildReplyBody(sampleContact),
+      status: 'new',
+      threshold: 1,
+      targetHours: 24,
+      deadlineAt: new Date('2025-01-16T10:30:00Z'),
+      overdueBy: '5h 12m'
+    })
+  },
+  dataSubjectVerification: {
+    subject: 'Confirm your data request - {{branding.ownerName}}',
+    sample: () => ({
+      email: sampleContact.email,
+      verifyUrl: `${brandingConfig.portfolioUrl}/privacy/verify?token=sample-token`,
+      expiresAt: new Date('2025-01-16T10:30:00Z')
+    })
+  },
+  adminDigest: {
+    subject: '{{frequency}} digest: {{newContacts.count}} new, {{unanswered.count}} awaiting reply',
+    sample: () => {
+      const item = {
+        contactId: sampleContact.contactId,
+        name: sampleContact.name,
+        email: sampleContact.email,
+        subject: sampleContact.subject,
+        priority: sampleContact.priority,
+        status: 'new',
+        submittedAt: sampleContact.submittedAt
+      };
+
+      return {
+        frequency: 'Daily',
+        from: new Date('2025-01-15T08:00:00Z'),
+        to: new Date('2025-01-16T08:00:00Z'),
+        newContacts: { count: 3, items: [item] },
+        unanswered: { count: 2, items: [item] },
+        urgent: { count: 1, items: [item] },
+        spam: { count: 4 },
+        topTags: [{ tag: 'frontend', count: 2 }, { tag: 'api', count: 1 }],
+        volume: { current: 3, previous: 2, change: 1, changePercent: 50, trend: 'up', summary: '+50% vs 2 in the previous period' }
+      };
+    }
+  }
+};
+
+const compiled = new Map();
+
+const compile = (key, source, options) => {
+  if (cacheEnabled && compiled.has(key)) {
+    return compiled.get(key);
+  }
+
+  const template = engine.compile(source(), { strict: false, ...options });
+  compiled.set(key, template);
+  return template;
+};
+
+const readTemplateFile = (name, format) => () => fs.readFileSync(
+  path.join(TEMPLATE_DIR, `${name}.${format}.hbs`),
+  'utf8'
+);
+
+export const templateNames = Object.keys(definitions);
+
+export const hasTemplate = (name) => Object.prototype.hasOwnProperty.call(definitions, name);
+
+/**
+ * Template data for a stored contact. Submissions are HTML-escaped on the way in,
+ * so values are unescaped here and left to the engine to escape exactly once.
+ */
+export const contactTemplateData = (contact) => {
+  const data = {
+    name: validator.unescape(contact.name || ''),
+    email: contact.email,
+    subject: validator.unescape(contact.subject || ''),
+    message: validator.unescape(contact.message || ''),
+    contactId: String(contact._id),
+    priority: contact.priority,
+    source: contact.source,
+    submittedAt: contact.createdAt
+  };
+
+  return {
+    ...data,
+    replySubject: `Re: ${data.subject}`,
+    replyBody: buildReplyBody(data)
+  };
+};
+
+/**
+ * Render a template to `{ subject, html, text }`
+ */
+export const renderEmail = (name, data = {}) => {
+  if (!hasTemplate(name)) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const context = {
+    ...data,
+    branding: brandingConfig,
+    generatedAt: new Date()
+  };
+
+  const subject = compile(`${name}.subject`, () => definitions[name].subject, { noEscape: true });
+  const html = compile(`${name}.html`, readTemplateFile(name, 'html'));
+  const text = compile(`${name}.text`, readTemplateFile(name, 'text'), { noEscape: true });
+
+  return {
+    subject: subject(context).trim(),
+    html: html(context),
+    text: text(context).replace(/\n{3,}/g, '\n\n').trim()
+  };
+};
+
+/**
+ * Render a template with its built-in sample data
+ */
+export const renderPreview = (name, overrides = {}) => {
+  if (!hasTemplate(name)) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  return renderEmail(name, { ...definitions[name].sample(), ...overrides });
+};
@@ -0,0 +1,43 @@
+/**
+ * Brevo Transactional API transport
+ */
+export default class BrevoTransport {
+  constructor({ apiKey, baseUrl }) {
+    this.name = 'brevo';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  get isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async send(message) {
+    const emailData = {
+      sender: message.from,
+      to: [message.to],
+      subject: message.subject,
+      htmlContent: message.html,
+      ...(message.text && { textContent: message.text }),
+      ...(message.replyTo?.email && { replyTo: message.replyTo })
+    };
+
+    const response = await fetch(`${this.baseUrl}/smtp/email`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'api-key': this.apiKey
+      },
+      body: JSON.stringify(emailData)
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.message || `Brevo API error: ${response.status}`);
+    }
+
+    return { messageId: result.messageId };
+  }
+}
@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+
+/**
+ * Local development transport - logs messages instead of sending them
+ */
+export default class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  get isConfigured() {
+    return true;
+  }
+
+  async send(message) {
+    const messageId = `console-${crypto.randomBytes(6).toString('hex')}`;
+
+    console.log('Email (console transport):', {
+      messageId,
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text?.substring(0, 500),
+      htmlLength: message.html?.length || 0
+    });
+
+    return { messageId };
+  }
+}
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Local development transport - writes rendered messages to disk instead of sending them
+ */
+export default class FileTransport {
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+  }
+
+  get isConfigured() {
+    return true;
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const basePath = path.join(this.directory, messageId);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await Promise.all([
+      fs.writeFile(`${basePath}.html`, message.html || ''),
+      fs.writeFile(`${basePath}.json`, JSON.stringify({
+        messageId,
+        from: message.from,
+        to: message.to,
+        replyTo: message.replyTo,
+        subject: message.subject,
+        text: message.text,
+        createdAt: new Date().toISOString()
+      }, null, 2))
+    ]);
+
+    console.log(`Email written to ${basePath}.html`);
+    return { messageId };
+  }
+}
@@ -0,0 +1,30 @@
+import emailConfig from '../../../config/email.js';
+import BrevoTransport from './brevoTransport.js';
+import ResendTransport from './resendTransport.js';
+import SmtpTransport from './smtpTransport.js';
+import FileTransport from './fileTransport.js';
+import ConsoleTransport from './consoleTransport.js';
+
+const transports = {
+  brevo: () => new BrevoTransport(emailConfig.brevo),
+  resend: () => new ResendTransport(emailConfig.resend),
+  smtp: () => new SmtpTransport(emailConfig.smtp),
+  file: () => new FileTransport(emailConfig.file),
+  console: () => new ConsoleTransport()
+};
+
+export const availableTransports = Object.keys(transports);
+
+/**
+ * Build a transport by name. Every transport exposes `name`, `isConfigured`
+ * and `send(message)`, resolving to `{ messageId }`.
+ */
+export const createTransport = (name) => {
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown email transport "${name}". Expected one of: ${availableTransports.join(', ')}`);
+  }
+
+  return factory();
+};
@@ -0,0 +1,34 @@
+import { Resend } from 'resend';
+
+const formatAddress = ({ name, email }) => (name ? `${name} <${email}>` : email);
+
+/**
+ * Resend API transport
+ */
+export default class ResendTransport {
+  constructor({ apiKey }) {
+    this.name = 'resend';
+    this.client = apiKey ? new Resend(apiKey) : null;
+  }
+
+  get isConfigured() {
+    return !!this.client;
+  }
+
+  async send(message) {
+    const { data, error } = await this.client.emails.send({
+      from: formatAddress(message.from),
+      to: [message.to.email],
+      subject: message.subject,
+      html: message.html,
+      ...(message.text && { text: message.text }),
+      ...(message.replyTo?.email && { replyTo: formatAddress(message.replyTo) })
+    });
+
+    if (error) {
+      throw new Error(error.message || 'Resend API error');
+    }
+
+    return { messageId: data.id };
+  }
+}
@@ -0,0 +1,37 @@
+import nodemailer from 'nodemailer';
+
+const toAddress = ({ name, email }) => ({ name: name || '', address: email });
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+export default class SmtpTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = host
+      ? nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass } })
+      })
+      : null;
+  }
+
+  get isConfigured() {
+    return !!this.transporter;
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      from: toAddress(message.from),
+      to: toAddress(message.to),
+      subject: message.subject,
+      html: message.html,
+      ...(message.text && { text: message.text }),
+      ...(message.replyTo?.email && { replyTo: toAddress(message.replyTo) })
+    });
+
+    return { messageId: info.messageId };
+  }
+}
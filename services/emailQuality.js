@@ -0,0 +1,196 @@
+import dns from 'dns/promises';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import emailQualityConfig from '../config/emailQuality.js';
+
+export const DISPOSABLE_DOMAINS_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../data/disposableDomains.json'
+);
+
+// Well-known mailbox providers - typo suggestions are only ever made towards these
+const POPULAR_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'yahoo.co.uk', 'hotmail.com',
+  'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'protonmail.com',
+  'proton.me', 'zoho.com', 'yandex.com', 'mail.com', 'gmx.com', 'gmx.net', 'rediffmail.com'
+];
+
+const COMMON_TYPOS = {
+  'gmial.com': 'gmail.com',
+  'gmai.com': 'gmail.com',
+  'gamil.com': 'gmail.com',
+  'gnail.com': 'gmail.com',
+  'gmaill.com': 'gmail.com',
+  'gmail.co': 'gmail.com',
+  'gmail.cm': 'gmail.com',
+  'gmail.con': 'gmail.com',
+  'hotmial.com': 'hotmail.com',
+  'hotmal.com': 'hotmail.com',
+  'hotmai.com': 'hotmail.com',
+  'hotmail.co': 'hotmail.com',
+  'hotmail.con': 'hotmail.com',
+  'yahooo.com': 'yahoo.com',
+  'yaho.com': 'yahoo.com',
+  'yahoo.co': 'yahoo.com',
+  'yahoo.con': 'yahoo.com',
+  'outlok.com': 'outlook.com',
+  'outloo.com': 'outlook.com',
+  'outlook.co': 'outlook.com',
+  'iclod.com': 'icloud.com',
+  'icloud.co': 'icloud.com'
+};
+
+const TLD_TYPOS = { con: 'com', cmo: 'com', ocm: 'com', comm: 'com', nte: 'net', ogr: 'org' };
+
+const loadDomainList = (filePath) => {
+  const contents = fs.readFileSync(filePath, 'utf8');
+
+  if (filePath.endsWith('.json')) {
+    const parsed = JSON.parse(contents);
+    return Array.isArray(parsed) ? parsed : parsed.domains;
+  }
+
+  return contents.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+};
+
+let disposableDomains = null;
+
+const getDisposableDomains = () => {
+  if (!disposableDomains) {
+    const domains = loadDomainList(DISPOSABLE_DOMAINS_PATH);
+
+    if (emailQualityConfig.extraDisposableDomainsFile) {
+      try {
+        domains.push(...loadDomainList(emailQualityConfig.extraDisposableDomainsFile));
+      } catch (error) {
+        console.error('Failed to load extra disposable domains:', error.message);
+      }
+    }
+
+    disposableDomains = new Set(domains.map(domain => domain.toLowerCase()));
+  }
+  return disposableDomains;
+};
+
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+export const isDisposableDomain = (domain) => {
+  const domains = getDisposableDomains();
+  const labels = domain.toLowerCase().split('.');
+  // Match subdomains of listed domains too (e.g. abc.mailinator.com)
+  return labels.slice(0, -1).some((_, index) => domains.has(labels.slice(index).join('.')));
+};
+
+/**
+ * Suggest the intended domain for a likely typo, or null
+ */
+export const suggestDomain = (domain) => {
+  const normalized = domain.toLowerCase();
+
+  if (POPULAR_DOMAINS.includes(normalized)) return null;
+  if (COMMON_TYPOS[normalized]) return COMMON_TYPOS[normalized];
+
+  const labels = normalized.split('.');
+  const tld = labels[labels.length - 1];
+  if (TLD_TYPOS[tld]) {
+    return [...labels.slice(0, -1), TLD_TYPOS[tld]].join('.');
+  }
+
+  // Only the provider label is compared, under an identical suffix - regional domains
+  // such as yahoo.co.id are one edit from a listed one but are not typos of it.
+  // Short labels sit one edit away from too many legitimate ones to guess safely.
+  const [label, ...suffix] = labels;
+  return POPULAR_DOMAINS.find(candidate => {
+    const [candidateLabel, ...candidateSuffix] = candidate.split('.');
+    return candidateLabel.length >= 5 &&
+      candidateSuffix.join('.') === suffix.join('.') &&
+      editDistance(label, candidateLabel) === 1;
+  }) || null;
+};
+
+let mxResolver = (domain) => dns.resolveMx(domain);
+
+/**
+ * Replace the MX resolver - tests use this to stay offline
+ */
+export const setMxResolver = (resolver) => {
+  mxResolver = resolver;
+};
+
+/**
+ * Resolves to true/false when the domain does/doesn't accept mail, or null when undetermined
+ */
+export const hasMxRecords = async (domain) => {
+  let timer;
+
+  try {
+    const records = await Promise.race([
+      mxResolver(domain),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('MX lookup timed out')), emailQualityConfig.mxTimeoutMs);
+      })
+    ]);
+    return Array.isArray(records) && records.length > 0;
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) {
+      return false;
+    }
+    console.warn(`MX lookup for ${domain} inconclusive:`, error.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Assess an address. Resolves to `{ verdict, domain, suggestion, mx, checkedAt }` where
+ * verdict is one of ok, disposable, typo, no_mx.
+ */
+export const checkEmailQuality = async (email, { checkMx = emailQualityConfig.checkMx } = {}) => {
+  const [localPart, domain = ''] = String(email).trim().toLowerCase().split('@');
+  const result = { domain, suggestion: null, mx: null, checkedAt: new Date() };
+
+  if (isDisposableDomain(domain)) {
+    return { ...result, verdict: 'disposable' };
+  }
+
+  const suggestedDomain = suggestDomain(domain);
+  if (suggestedDomain) {
+    return { ...result, verdict: 'typo', suggestion: `${localPart}@${suggestedDomain}` };
+  }
+
+  if (checkMx) {
+    result.mx = await hasMxRecords(domain);
+    if (result.mx === false) {
+      return { ...result, verdict: 'no_mx' };
+    }
+  }
+
+  return { ...result, verdict: 'ok' };
+};
+
+/**
+ * Drop the cached disposable list so the next check re-reads it from disk
+ */
+export const reloadDisposableDomains = () => {
+  disposableDomains = null;
+};
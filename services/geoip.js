@@ -0,0 +1,90 @@
+import net from 'net';
+
+/**
+ * Offline GeoIP enrichment backed by the geoip-lite bundled database
+ */
+
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+let geoipModule = null;
+
+// geoip-lite loads its database synchronously on import, so defer it until the first lookup
+const loadDatabase = async () => {
+  if (geoipModule === null) {
+    try {
+      geoipModule = (await import('geoip-lite')).default;
+    } catch (error) {
+      console.error('GeoIP database unavailable - lookups disabled:', error.message);
+      geoipModule = false;
+    }
+  }
+  return geoipModule;
+};
+
+/**
+ * Strip IPv4-mapped IPv6 prefixes (::ffff:1.2.3.4) so addresses compare and look up as IPv4
+ */
+export const normalizeIP = (ip) => {
+  if (!ip || typeof ip !== 'string') return ip;
+  const trimmed = ip.trim();
+  const mapped = trimmed.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i);
+  return mapped ? mapped[1] : trimmed;
+};
+
+export const isPrivateIP = (ip) => {
+  const address = normalizeIP(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resolve an IP address to `{ country, region, city, timezone, source, lookedUpAt }`.
+ * Never throws - private, loopback and unparseable addresses resolve with an explanatory source.
+ */
+export const lookupGeo = async (ip) => {
+  const address = normalizeIP(ip);
+  const result = { lookedUpAt: new Date() };
+
+  if (!net.isIP(address)) {
+    return { ...result, source: 'invalid' };
+  }
+
+  if (isPrivateIP(address)) {
+    return { ...result, source: 'private' };
+  }
+
+  const geoip = await loadDatabase();
+  if (!geoip) {
+    return { ...result, source: 'unavailable' };
+  }
+
+  const record = geoip.lookup(address);
+  if (!record) {
+    return { ...result, source: 'not-found' };
+  }
+
+  return {
+    ...result,
+    country: record.country || undefined,
+    region: record.region || undefined,
+    city: record.city || undefined,
+    timezone: record.timezone || undefined,
+    source: 'geoip-lite'
+  };
+};
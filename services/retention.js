@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import retentionConfig from '../config/retention.js';
+import Contact from '../models/Contact.js';
+import ContactArchive from '../models/ContactArchive.js';
+import EmailOutbox from '../models/EmailOutbox.js';
+import RetentionRun from '../models/RetentionRun.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const policyMatch = (policy) => ({
+  ...(policy.status && { status: policy.status }),
+  ...(policy.source && { source: policy.source })
+});
+
+/**
+ * Resolve policies into Mongo filters. Policies apply in order, so contacts
+ * already claimed by an earlier delete/archive policy are excluded from later
+ * ones - the preview then counts each contact exactly where a run would.
+ */
+export const policyFilters = (policies = retentionConfig.policies, now = new Date()) => {
+  const terminal = [];
+
+  return policies.map(policy => {
+    const cutoff = new Date(now.getTime() - policy.maxAgeDays * DAY);
+    const conditions = [{ ...policyMatch(policy), createdAt: { $lt: cutoff } }];
+
+    if (policy.action === 'anonymize') conditions.push({ anonymizedAt: null });
+    if (terminal.length > 0) conditions.push({ $nor: [...terminal] });
+
+    if (policy.action !== 'anonymize') {
+      terminal.push({ ...policyMatch(policy), createdAt: { $lt: cutoff } });
+    }
+
+    return { policy, cutoff, filter: conditions.length === 1 ? conditions[0] : { $and: conditions } };
+  });
+};
+
+const describePolicy = ({ policy, cutoff }) => ({
+  name: policy.name,
+  action: policy.action,
+  status: policy.status,
+  source: policy.source,
+  maxAgeDays: policy.maxAgeDays,
+  cutoff
+});
+
+/**
+ * What a run would do right now, without changing anything
+ */
+export const previewRetention = async ({ sampleSize = 20, now = new Date() } = {}) => {
+  const policies = await Promise.all(policyFilters(retentionConfig.policies, now).map(async (entry) => {
+    const [matched, sample] = await Promise.all([
+      Contact.countDocuments(entry.filter),
+      Contact.find(entry.filter)
+        .sort({ createdAt: 1 })
+        .limit(sampleSize)
+        .select('status source createdAt')
+        .lean()
+    ]);
+
+    return {
+      ...describePolicy(entry),
+      matched,
+      sample: sample.map(contact => ({
+        id: contact._id,
+        status: contact.status,
+        source: contact.source,
+        createdAt: contact.createdAt
+      }))
+    };
+  }));
+
+  return {
+    generatedAt: now,
+    policies,
+    totals: { matched: policies.reduce((sum, policy) => sum + policy.matched, 0) }
+  };
+};
+
+/**
+ * Queued and sent emails repeat the contact's address and message, so they go with the contact
+ */
+const purgeOutbox = (ids) => EmailOutbox.deleteMany({ contact: { $in: ids } });
+
+const applyAction = async (action, ids, { policy, runId }) => {
+  if (action === 'delete') {
+    const result = await Contact.deleteMany({ _id: { $in: ids } });
+    await purgeOutbox(ids);
+    return result.deletedCount;
+  }
+
+  if (action === 'anonymize') {
+    const result = await Contact.anonymizeMany({ _id: { $in: ids } });
+    await purgeOutbox(ids);
+    return result.modifiedCount;
+  }
+
+  const contacts = await Contact.find({ _id: { $in: ids } }).lean();
+
+  try {
+    await ContactArchive.insertMany(
+      contacts.map(contact => ({ ...contact, archivedAt: new Date(), retentionPolicy: policy.name, retentionRun: runId })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Left over from an interrupted run - the copy already exists, so removing the original is safe
+    const duplicatesOnly = error.writeErrors?.every(writeError => writeError.code === 11000);
+    if (!duplicatesOnly) throw error;
+  }
+
+  const archivedIds = contacts.map(contact => contact._id);
+  const result = await Contact.deleteMany({ _id: { $in: archivedIds } });
+  await purgeOutbox(archivedIds);
+  return result.deletedCount;
+};
+
+/**
+ * Apply every policy in batches and record the outcome as a RetentionRun
+ */
+export const runRetention = async ({ trigger = 'manual', actor, dryRun = false } = {}) => {
+  if (dryRun) {
+    const preview = await previewRetention();
+    return RetentionRun.create({
+      trigger,
+      actor,
+      dryRun: true,
+      status: 'completed',
+      finishedAt: new Date(),
+      policies: preview.policies.map(({ sample, ...policy }) => policy),
+      totals: { matched: preview.totals.matched, processed: 0, failed: 0 }
+    });
+  }
+
+  const run = await RetentionRun.create({ trigger, actor });
+
+  try {
+    for (const entry of policyFilters()) {
+      const result = { ...describePolicy(entry), matched: await Contact.countDocuments(entry.filter), processed: 0, failed: 0 };
+
+      // Processed contacts stop matching the filter, so each pass takes the next batch from the top
+      while (result.processed + result.failed < result.matched) {
+        const batch = await Contact.find(entry.filter)
+          .sort({ _id: 1 })
+          .limit(retentionConfig.batchSize)
+          .select('_id')
+          .lean();
+        const ids = batch.map(contact => contact._id);
+
+        if (ids.length === 0) break;
+
+        try {
+          result.processed += await applyAction(entry.policy.action, ids, { policy: entry.policy, runId: run._id });
+        } catch (error) {
+          console.error(`Retention policy "${entry.policy.name}" error:`, error);
+          result.failed += ids.length;
+          result.error = error.message.substring(0, 500);
+          break;
+        }
+
+        await yieldToEventLoop();
+      }
+
+      run.policies.push(result);
+      run.totals.matched += result.matched;
+      run.totals.processed += result.processed;
+      run.totals.failed += result.failed;
+    }
+
+    run.status = run.totals.failed > 0 ? 'failed' : 'completed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message.substring(0, 500);
+    throw error;
+  } finally {
+    run.finishedAt = new Date();
+    await run.save();
+  }
+
+  console.log(`Retention run ${run._id} ${run.status}: ${run.totals.processed}/${run.totals.matched} contacts processed`);
+  return run;
+};
+
+/**
+ * Runs the retention policies on a fixed interval
+ */
+class RetentionScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Apply the policies unless a run is already in progress (resolves null then)
+   */
+  async execute(options) {
+    if (this.running) return null;
+
+    this.running = true;
+
+    try {
+      return await runRetention(options);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async runOnce() {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    try {
+      return await this.execute({ trigger: 'schedule', actor: 'system' });
+    } catch (error) {
+      console.error('Retention scheduler error:', error);
+      return null;
+    }
+  }
+
+  start() {
+    if (this.timer || !retentionConfig.enabled) return;
+
+    if (retentionConfig.policies.length === 0) {
+      console.warn('No valid retention policies configured - retention scheduler not started');
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), retentionConfig.intervalMs);
+    this.timer.unref();
+    console.log(`Retention scheduler started (every ${retentionConfig.intervalMs}ms, ${retentionConfig.policies.length} policies)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const retentionScheduler = new RetentionScheduler();
+
+export default retentionScheduler;
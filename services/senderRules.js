@@ -0,0 +1,70 @@
+import net from 'net';
+import SenderRule, { parseCidr } from '../models/SenderRule.js';
+import { normalizeIP } from './geoip.js';
+import { ipRepresentations } from './clientPrivacy.js';
+
+// More specific rules win; allow beats block when equally specific
+const SPECIFICITY = { email: 4, ip: 3, cidr: 2, domain: 1 };
+
+/**
+ * The domain of an address plus every parent domain, so a rule for
+ * example.com also covers mail.example.com
+ */
+const domainCandidates = (email) => {
+  const domain = String(email || '').split('@')[1]?.toLowerCase();
+  if (!domain) return [];
+
+  const labels = domain.split('.');
+  return labels.slice(0, -1).map((_, index) => labels.slice(index).join('.'));
+};
+
+const cidrContains = (cidr, ip) => {
+  const range = parseCidr(cidr);
+  const family = net.isIP(ip);
+  if (!range || !family || (family === 4 ? 'ipv4' : 'ipv6') !== range.type) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  blockList.addSubnet(range.address, range.prefix, range.type);
+  return blockList.check(ip, range.type);
+};
+
+/**
+ * Find the rule that applies to a sender. Resolves to `{ action, rule }`,
+ * where action is `block`, `allow`, or null when no rule matches.
+ */
+export const evaluateSender = async ({ email, ip }) => {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  const normalizedIP = normalizeIP(ip);
+  const conditions = [{ type: 'cidr' }];
+
+  if (normalizedEmail) {
+    conditions.push({ type: 'email', value: normalizedEmail });
+    conditions.push({ type: 'domain', value: { $in: domainCandidates(normalizedEmail) } });
+  }
+
+  // Hashed forms let rules copied from a stored contact's ipAddress keep matching
+  if (net.isIP(normalizedIP)) {
+    conditions.push({ type: 'ip', value: { $in: ipRepresentations(normalizedIP) } });
+  }
+
+  const candidates = await SenderRule.find({ $or: conditions }).active();
+
+  const matches = candidates
+    .filter(rule => rule.type !== 'cidr' || cidrContains(rule.value, normalizedIP))
+    .sort((a, b) => (SPECIFICITY[b.type] - SPECIFICITY[a.type]) ||
+      (a.list === 'allow' ? -1 : 0) - (b.list === 'allow' ? -1 : 0));
+
+  const rule = matches[0];
+  if (!rule) {
+    return { action: null, rule: null };
+  }
+
+  await SenderRule.updateOne(
+    { _id: rule._id },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }
+  );
+
+  return { action: rule.list, rule };
+};
@@ -0,0 +1,176 @@
+import mongoose from 'mongoose';
+import slaConfig from '../config/sla.js';
+import brandingConfig from '../config/branding.js';
+import Contact from '../models/Contact.js';
+import emailOutbox from './email/outbox.js';
+import { renderEmail, contactTemplateData } from './email/templates.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Human-readable duration, e.g. "2d 4h" or "35m"
+ */
+export const formatDuration = (ms) => {
+  const days = Math.floor(ms / (24 * HOUR));
+  const hours = Math.floor((ms % (24 * HOUR)) / HOUR);
+  const minutes = Math.floor((ms % HOUR) / MINUTE);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+/**
+ * SLA position of one contact: its deadline, how far past it, and which
+ * escalation thresholds it has crossed or already been escalated for
+ */
+export const describeBreach = (contact, now = new Date()) => {
+  const target = slaConfig.targets[contact.priority];
+  const deadlineAt = new Date(contact.createdAt.getTime() + target);
+  const overdueMs = now - deadlineAt;
+  const escalated = new Set((contact.escalations || []).map(escalation => escalation.threshold));
+
+  return {
+    targetHours: target / HOUR,
+    deadlineAt,
+    overdueMs,
+    overdueBy: formatDuration(Math.max(overdueMs, 0)),
+    reached: slaConfig.escalation.thresholds.filter(threshold => now - contact.createdAt >= target * threshold),
+    escalated: [...escalated]
+  };
+};
+
+/**
+ * Periodically escalates contacts that are past their response deadline.
+ * Each threshold is claimed atomically on the contact before any email is
+ * queued, so a threshold is escalated at most once even across instances.
+ */
+class SlaEscalationScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Contacts past their deadline, most overdue first. Within one priority the oldest
+   * contact is the most overdue, so the `limit` oldest of each priority are enough to
+   * pick the overall top `limit`.
+   */
+  async findBreaches({ limit = 100, now = new Date() } = {}) {
+    const perPriority = await Promise.all(Object.entries(slaConfig.targets).map(([priority, target]) => (
+      Contact.findUrgent({ [priority]: target }, { now }).limit(limit)
+    )));
+
+    return perPriority
+      .flat()
+      .map(contact => ({ contact, breach: describeBreach(contact, now) }))
+      .sort((a, b) => b.breach.overdueMs - a.breach.overdueMs)
+      .slice(0, limit);
+  }
+
+  countBreaches(now = new Date()) {
+    return Contact.findUrgent(slaConfig.targets, { now }).countDocuments();
+  }
+
+  async escalate(contact, breach, now = new Date()) {
+    const pending = breach.reached.filter(threshold => !breach.escalated.includes(threshold));
+    if (pending.length === 0) return false;
+
+    // Only the highest crossed threshold is announced; lower ones are recorded as covered by it
+    const highest = pending[pending.length - 1];
+    const records = pending.map(threshold => ({
+      threshold,
+      deadlineAt: new Date(contact.createdAt.getTime() + slaConfig.targets[contact.priority] * threshold),
+      escalatedAt: now,
+      notified: threshold === highest
+    }));
+
+    const claimed = await Contact.updateOne(
+      { _id: contact._id, 'escalations.threshold': { $nin: pending } },
+      { $push: { escalations: { $each: records } } }
+    );
+
+    if (claimed.modifiedCount === 0) return false;
+
+    const template = renderEmail('slaEscalation', {
+      ...contactTemplateData(contact),
+      status: contact.status,
+      threshold: highest,
+      targetHours: breach.targetHours,
+      deadlineAt: breach.deadlineAt,
+      overdueBy: breach.overdueBy
+    });
+
+    const entries = await Promise.all(slaConfig.escalation.recipients.map(to => emailOutbox.enqueue({
+      from: { name: brandingConfig.systemName },
+      to,
+      toName: brandingConfig.ownerName,
+      ...template
+    }, { type: 'sla_escalation', contact })));
+
+    await Contact.updateOne(
+      { _id: contact._id, 'escalations.threshold': highest },
+      { $set: { 'escalations.$.outboxIds': entries.map(entry => entry._id) } }
+    );
+
+    console.log(`SLA escalation (${highest}x) for contact ${contact._id}: ${breach.overdueBy} overdue`);
+    return true;
+  }
+
+  async runOnce() {
+    if (this.running || mongoose.connection.readyState !== 1) {
+      return 0;
+    }
+
+    this.running = true;
+    let escalated = 0;
+
+    try {
+      const now = new Date();
+
+      // Highest threshold first, so a contact that crossed several is announced once
+      for (const threshold of [...slaConfig.escalation.thresholds].reverse()) {
+        const contacts = await Contact.findUrgent(slaConfig.targets, { multiplier: threshold, now })
+          .where('escalations.threshold').ne(threshold)
+          .limit(slaConfig.escalation.batchSize);
+
+        for (const contact of contacts) {
+          if (await this.escalate(contact, describeBreach(contact, now), now)) escalated++;
+        }
+      }
+    } catch (error) {
+      console.error('SLA escalation error:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return escalated;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    if (!slaConfig.escalation.enabled) {
+      return;
+    }
+
+    if (slaConfig.escalation.recipients.length === 0 || slaConfig.escalation.thresholds.length === 0) {
+      console.warn('SLA escalation recipients or thresholds not configured - escalation scheduler not started');
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), slaConfig.escalation.intervalMs);
+    this.timer.unref();
+    console.log(`SLA escalation scheduler started (every ${slaConfig.escalation.intervalMs}ms)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const slaEscalation = new SlaEscalationScheduler();
+
+export default slaEscalation;
@@ -0,0 +1,82 @@
+/**
+ * Built-in spam checks. Each check receives the normalized submission and the
+ * spam config and returns `{ score, reason }` when it fires, or null otherwise.
+ */
+
+const LINK_PATTERN = /(?:https?:\/\/|www\.)[^\s]+/gi;
+
+export const honeypotCheck = ({ honeypot }, { weights }) => {
+  if (honeypot && String(honeypot).trim()) {
+    return { score: weights.honeypot, reason: 'Honeypot field was filled' };
+  }
+  return null;
+};
+
+export const fillTimeCheck = ({ renderedAt, receivedAt }, { weights, minFillTimeMs, maxFillTimeMs }) => {
+  if (renderedAt === undefined || renderedAt === null || renderedAt === '') {
+    return { score: weights.missingTimestamp, reason: 'Form render timestamp missing' };
+  }
+
+  const rendered = new Date(Number.isNaN(Number(renderedAt)) ? renderedAt : Number(renderedAt));
+  if (Number.isNaN(rendered.getTime())) {
+    return { score: weights.invalidTimestamp, reason: 'Form render timestamp is invalid' };
+  }
+
+  const elapsed = receivedAt.getTime() - rendered.getTime();
+
+  if (elapsed < 0) {
+    return { score: weights.invalidTimestamp, reason: 'Form render timestamp is in the future' };
+  }
+
+  if (elapsed < minFillTimeMs) {
+    return { score: weights.tooFast, reason: `Form submitted too quickly (${elapsed}ms)` };
+  }
+
+  if (elapsed > maxFillTimeMs) {
+    return { score: weights.staleForm, reason: 'Form render timestamp is stale' };
+  }
+
+  return null;
+};
+
+export const linkDensityCheck = ({ subject, message }, { weights, maxLinks }) => {
+  const links = `${subject} ${message}`.match(LINK_PATTERN) || [];
+
+  if (links.length > maxLinks) {
+    return {
+      score: weights.linkDensity + (links.length - maxLinks - 1),
+      reason: `Contains ${links.length} links`
+    };
+  }
+  return null;
+};
+
+export const repeatedCharsCheck = ({ name, subject, message }, { weights, maxRepeatedChars }) => {
+  const pattern = new RegExp(`(\\S)\\1{${maxRepeatedChars},}`);
+
+  if ([name, subject, message].some(value => pattern.test(value))) {
+    return { score: weights.repeatedChars, reason: 'Contains long runs of repeated characters' };
+  }
+  return null;
+};
+
+export const keywordCheck = ({ name, subject, message }, { weights, keywords }) => {
+  const content = `${name} ${subject} ${message}`.toLowerCase();
+  const matches = keywords.filter(keyword => content.includes(keyword));
+
+  if (matches.length > 0) {
+    return {
+      score: Math.min(matches.length * weights.keyword, weights.maxKeyword),
+      reason: `Contains spam keywords: ${matches.join(', ')}`
+    };
+  }
+  return null;
+};
+
+export const defaultChecks = {
+  honeypot: honeypotCheck,
+  fillTime: fillTimeCheck,
+  linkDensity: linkDensityCheck,
+  repeatedChars: repeatedCharsCheck,
+  keywords: keywordCheck
+};
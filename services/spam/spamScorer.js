@@ -0,0 +1,71 @@
+import validator from 'validator';
+import spamConfig from '../../config/spam.js';
+import { defaultChecks } from './checks.js';
+
+/**
+ * Pluggable spam scoring pipeline - every registered check contributes to a
+ * total score, and submissions at or above the threshold are flagged as spam.
+ */
+class SpamScorer {
+  constructor(config, checks = {}) {
+    this.config = config;
+    this.checks = new Map(Object.entries(checks));
+  }
+
+  use(name, check) {
+    this.checks.set(name, check);
+    return this;
+  }
+
+  remove(name) {
+    this.checks.delete(name);
+    return this;
+  }
+
+  /**
+   * Build the scorer input from a request body. Text fields arrive HTML-escaped
+   * from validateContact, so they are unescaped to score what the sender typed.
+   */
+  buildSubmission(body, receivedAt = new Date()) {
+    return {
+      name: validator.unescape(body.name || ''),
+      email: body.email || '',
+      subject: validator.unescape(body.subject || ''),
+      message: validator.unescape(body.message || ''),
+      honeypot: body[this.config.honeypotField],
+      renderedAt: body[this.config.renderedAtField],
+      receivedAt
+    };
+  }
+
+  async score(submission) {
+    const reasons = [];
+    let score = 0;
+
+    if (this.config.enabled) {
+      for (const [name, check] of this.checks) {
+        try {
+          const result = await check(submission, this.config);
+          if (result && result.score > 0) {
+            score += result.score;
+            reasons.push(result.reason);
+          }
+        } catch (error) {
+          console.error(`Spam check "${name}" failed:`, error.message);
+        }
+      }
+    }
+
+    return {
+      score: Math.round(score * 10) / 10,
+      reasons,
+      isSpam: score >= this.config.threshold,
+      threshold: this.config.threshold,
+      checkedAt: new Date()
+    };
+  }
+}
+
+const spamScorer = new SpamScorer(spamConfig, defaultChecks);
+
+export default spamScorer;
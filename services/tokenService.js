@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import authConfig, { isAuthConfigured } from '../config/auth.js';
+import RevokedToken from '../models/RevokedToken.js';
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password in the `scrypt:<salt>:<hash>` format expected by ADMIN_PASSWORD_HASH
+ */
+export const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * JWT access/refresh token management for the admin API
+ */
+class TokenService {
+  constructor() {
+    if (!isAuthConfigured()) {
+      console.warn('Admin authentication not configured - admin routes will reject all requests');
+    }
+  }
+
+  verifyCredentials(username, password) {
+    if (!isAuthConfigured() || !username || !password) {
+      return false;
+    }
+
+    const { admin } = authConfig;
+    const usernameMatches = safeEqual(username.trim().toLowerCase(), admin.username.trim().toLowerCase());
+
+    let passwordMatches = false;
+    if (admin.passwordHash) {
+      const [scheme, salt, hash] = admin.passwordHash.split(':');
+      passwordMatches = scheme === 'scrypt' && !!salt && !!hash &&
+        safeEqual(hashPassword(password, salt), admin.passwordHash);
+    } else {
+      passwordMatches = safeEqual(password, admin.password);
+    }
+
+    return usernameMatches && passwordMatches;
+  }
+
+  signToken(type, subject) {
+    const { secret, expiresIn } = authConfig[`${type}Token`];
+    const token = jwt.sign(
+      { type, role: 'admin' },
+      secret,
+      {
+        subject,
+        expiresIn,
+        issuer: authConfig.issuer,
+        audience: authConfig.audience,
+        jwtid: crypto.randomUUID()
+      }
+    );
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000) };
+  }
+
+  issueTokenPair(subject) {
+    const access = this.signToken('access', subject);
+    const refresh = this.signToken('refresh', subject);
+
+    return {
+      tokenType: 'Bearer',
+      accessToken: access.token,
+      accessTokenExpiresAt: access.expiresAt,
+      expiresIn: Math.round((access.expiresAt.getTime() - Date.now()) / 1000),
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt
+    };
+  }
+
+  /**
+   * Verify a token's signature, expiry, issuer, audience, type and revocation status.
+   * Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure.
+   */
+  async verify(token, type) {
+    if (!isAuthConfigured()) {
+      throw new jwt.JsonWebTokenError('Authentication not configured');
+    }
+
+    const payload = jwt.verify(token, authConfig[`${type}Token`].secret, {
+      issuer: authConfig.issuer,
+      audience: authConfig.audience
+    });
+
+    if (payload.type !== type) {
+      throw new jwt.JsonWebTokenError(`Expected ${type} token`);
+    }
+
+    if (await RevokedToken.isRevoked(payload.jti)) {
+      throw new jwt.JsonWebTokenError('Token has been revoked');
+    }
+
+    return payload;
+  }
+
+  verifyAccessToken(token) {
+    return this.verify(token, 'access');
+  }
+
+  verifyRefreshToken(token) {
+    return this.verify(token, 'refresh');
+  }
+
+  async revoke(payload, reason = 'logout') {
+    await RevokedToken.updateOne(
+      { jti: payload.jti },
+      {
+        $setOnInsert: {
+          jti: payload.jti,
+          type: payload.type,
+          subject: payload.sub,
+          reason,
+          expiresAt: new Date(payload.exp * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, revoking the old refresh token
+   */
+  async rotate(refreshToken) {
+    const payload = await this.verifyRefreshToken(refreshToken);
+    await this.revoke(payload, 'rotated');
+    return this.issueTokenPair(payload.sub);
+  }
+}
+
+const tokenService = new TokenService();
+
+export default tokenService;
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import trashConfig from '../config/trash.js';
+import Contact from '../models/Contact.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * When a trashed contact will be permanently deleted, or null if the trash never auto-empties
+ */
+export const purgeDate = (deletedAt) => (trashConfig.retentionDays > 0 && deletedAt
+  ? new Date(new Date(deletedAt).getTime() + trashConfig.retentionDays * DAY)
+  : null);
+
+/**
+ * Permanently delete contacts that have been in the trash longer than the retention period
+ */
+export const emptyTrash = async (now = new Date()) => {
+  if (trashConfig.retentionDays === 0) return 0;
+
+  const filter = { deletedAt: { $ne: null, $lt: new Date(now.getTime() - trashConfig.retentionDays * DAY) } };
+  let purged = 0;
+
+  // Purged contacts drop out of the filter, so each pass takes the next batch from the top
+  for (;;) {
+    const batch = await Contact.find(filter).sort({ _id: 1 }).limit(trashConfig.batchSize).select('_id').lean();
+    if (batch.length === 0) break;
+
+    const result = await Contact.deleteMany({ ...filter, _id: { $in: batch.map(contact => contact._id) } });
+    purged += result.deletedCount;
+
+    if (batch.length < trashConfig.batchSize) break;
+    await yieldToEventLoop();
+  }
+
+  return purged;
+};
+
+/**
+ * Empties expired contacts from the trash on a fixed interval
+ */
+class TrashPurger {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  async runOnce() {
+    if (this.running || mongoose.connection.readyState !== 1) {
+      return 0;
+    }
+
+    this.running = true;
+
+    try {
+      const purged = await emptyTrash();
+      if (purged > 0) {
+        console.log(`Trash purge permanently deleted ${purged} contacts`);
+      }
+      return purged;
+    } catch (error) {
+      console.error('Trash purge error:', error);
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    if (trashConfig.retentionDays === 0) {
+      console.log('Trash retention disabled - trashed contacts are kept until deleted permanently');
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), trashConfig.intervalMs);
+    this.timer.unref();
+    console.log(`Trash purge started (every ${trashConfig.intervalMs}ms, after ${trashConfig.retentionDays} days)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const trashPurger = new TrashPurger();
+
+export default trashPurger;
@@ -0,0 +1,210 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The provider is chosen when the service module loads
+process.env.CAPTCHA_PROVIDER = 'stub';
+
+const { default: captchaConfig } = await import('../config/captcha.js');
+const { default: captchaService } = await import('../services/captcha/captchaService.js');
+const { default: SiteVerifyProvider } = await import('../services/captcha/providers/siteVerifyProvider.js');
+const { verifyCaptcha } = await import('../middleware/captcha.js');
+
+const defaults = { ...captchaConfig };
+const stubProvider = captchaService.provider;
+
+const mockResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const runMiddleware = async ({ token, header } = {}) => {
+  const req = {
+    body: token === undefined ? {} : { [captchaConfig.tokenField]: token },
+    ip: '203.0.113.7',
+    get: (name) => (name === captchaConfig.tokenHeader ? header : undefined)
+  };
+  const res = mockResponse();
+  const next = mock.fn();
+
+  await verifyCaptcha(req, res, next);
+  return { req, res, next };
+};
+
+describe('captchaService with the stub provider', () => {
+  afterEach(() => {
+    Object.assign(captchaConfig, defaults);
+  });
+
+  it('passes ordinary tokens', async () => {
+    const result = await captchaService.verify('anything');
+
+    assert.equal(captchaService.isEnabled, true);
+    assert.equal(result.provider, 'stub');
+    assert.equal(result.passed, true);
+    assert.deepEqual(result.reasons, []);
+  });
+
+  it('rejects tokens the provider refuses', async () => {
+    const result = await captchaService.verify('fail-token');
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.reasons, ['invalid-input-response']);
+  });
+
+  it('rejects scores below the configured minimum', async () => {
+    const result = await captchaService.verify('low-score');
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.reasons, ['score-below-threshold']);
+    assert.equal(result.threshold, 0.5);
+  });
+
+  it('accepts every score when the minimum is 0', async () => {
+    captchaConfig.minScore = 0;
+
+    const result = await captchaService.verify('low-score');
+
+    assert.equal(result.passed, true);
+  });
+
+  it('rejects a hostname or action other than the expected one', async () => {
+    captchaConfig.expectedHostname = 'example.com';
+    captchaConfig.expectedAction = 'contact';
+
+    const result = await captchaService.verify('anything');
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.reasons, ['hostname-mismatch', 'action-mismatch']);
+  });
+});
+
+describe('SiteVerifyProvider', () => {
+  const provider = new SiteVerifyProvider({
+    name: 'test',
+    verifyUrl: 'https://captcha.example.com/siteverify',
+    secret: 'secret',
+    timeoutMs: 1000
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('posts the token and remote address and normalizes the response', async () => {
+    const fetchMock = mock.method(globalThis, 'fetch', async () => Response.json({
+      success: true,
+      score: 0.8,
+      action: 'submit',
+      hostname: 'example.com',
+      challenge_ts: '2024-01-01T00:00:00Z'
+    }));
+
+    const result = await provider.verify('token-1', '198.51.100.1');
+    const [url, options] = fetchMock.mock.calls[0].arguments;
+
+    assert.equal(url, 'https://captcha.example.com/siteverify');
+    assert.equal(options.body.toString(), 'secret=secret&response=token-1&remoteip=198.51.100.1');
+    assert.deepEqual(result, {
+      success: true,
+      score: 0.8,
+      action: 'submit',
+      hostname: 'example.com',
+      challengeTs: '2024-01-01T00:00:00Z',
+      errorCodes: []
+    });
+  });
+
+  it('treats providers without scores as unscored', async () => {
+    mock.method(globalThis, 'fetch', async () => Response.json({ success: false, 'error-codes': ['timeout-or-duplicate'] }));
+
+    const result = await provider.verify('token-1');
+
+    assert.equal(result.success, false);
+    assert.equal(result.score, null);
+    assert.deepEqual(result.errorCodes, ['timeout-or-duplicate']);
+  });
+
+  it('throws when the verification endpoint fails', async () => {
+    mock.method(globalThis, 'fetch', async () => new Response('unavailable', { status: 502 }));
+
+    await assert.rejects(provider.verify('token-1'), { message: 'test verification endpoint returned 502' });
+  });
+
+  it('is not configured without a secret', () => {
+    assert.equal(new SiteVerifyProvider({ name: 'test' }).isConfigured, false);
+  });
+});
+
+describe('verifyCaptcha middleware', () => {
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    Object.assign(captchaConfig, defaults);
+    captchaService.provider = stubProvider;
+  });
+
+  it('requires a token', async () => {
+    const { res, next } = await runMiddleware();
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errors[0].code, 'missing-input-response');
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it('accepts the token from the header', async () => {
+    const { req, next } = await runMiddleware({ header: 'anything' });
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.captcha.passed, true);
+  });
+
+  it('answers 403 with the reasons when verification fails', async () => {
+    const { res, next } = await runMiddleware({ token: 'low-score' });
+
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body.errors[0].reasons, ['score-below-threshold']);
+    assert.equal(res.body.errors[0].score, 0.1);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it('answers 503 when the provider is unreachable', async () => {
+    captchaService.provider = { name: 'down', isConfigured: true, verify: async () => { throw new Error('ECONNRESET'); } };
+
+    const { res, next } = await runMiddleware({ token: 'anything' });
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it('lets the submission through when failing open', async () => {
+    captchaConfig.failOpen = true;
+    captchaService.provider = { name: 'down', isConfigured: true, verify: async () => { throw new Error('ECONNRESET'); } };
+
+    const { req, next } = await runMiddleware({ token: 'anything' });
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.captcha.skipped, true);
+    assert.deepEqual(req.captcha.reasons, ['provider-unavailable']);
+  });
+
+  it('skips verification when no provider is configured', async () => {
+    captchaService.provider = null;
+
+    const { res, next } = await runMiddleware();
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(res.statusCode, null);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import {
+  BULK_ACTIONS,
+  buildBulkSelection,
+  previewBulkAction,
+  runBulkAction
+} from '../services/contactBulk.js';
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Contact.find() for both the _id walk (cursor) and the per-chunk pending lookup (distinct)
+const mockFind = ({ matching, pending }) => mock.method(Contact, 'find', () => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => query,
+    cursor: () => matching.map(_id => ({ _id })),
+    distinct: async () => pending
+  };
+  return query;
+});
+
+describe('bulk action definitions', () => {
+  it('validates tag values', () => {
+    assert.equal(BULK_ACTIONS.add_tags.validate(['Sales', ' vip ']), true);
+    assert.equal(BULK_ACTIONS.add_tags.validate([]), 'value must be a tag or a list of tags');
+    assert.equal(BULK_ACTIONS.add_tags.validate('x'.repeat(21)), 'Tags cannot exceed 20 characters');
+  });
+
+  it('validates priorities against the schema', () => {
+    assert.equal(BULK_ACTIONS.set_priority.validate('high'), true);
+    assert.match(BULK_ACTIONS.set_priority.validate('asap'), /^value must be one of/);
+  });
+
+  it('only touches contacts missing a tag, with normalized tags', () => {
+    assert.deepEqual(BULK_ACTIONS.add_tags.pending(['Sales', 'sales']), { tags: { $not: { $all: ['sales'] } } });
+    assert.deepEqual(BULK_ACTIONS.add_tags.update(['Sales']), { $addToSet: { tags: { $each: ['sales'] } } });
+  });
+});
+
+describe('buildBulkSelection', () => {
+  it('selects explicit ids as-is', () => {
+    assert.deepEqual(buildBulkSelection({ ids: ['a', 'b'] }), { query: { _id: { $in: ['a', 'b'] } }, errors: [] });
+  });
+
+  it('reuses the listing filter and its validation', () => {
+    assert.deepEqual(buildBulkSelection({ filter: { priority: 'high' } }).query.priority, { $in: ['high'] });
+    assert.equal(buildBulkSelection({ filter: { priority: 'asap' } }).errors[0].field, 'priority');
+  });
+});
+
+describe('running bulk actions', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('previews matched, affected and unchanged counts', async () => {
+    mock.method(Contact, 'countDocuments', async (filter) => (filter.$and ? 2 : 5));
+
+    const preview = await previewBulkAction({ action: 'set_priority', value: 'high', query: { status: 'new' } });
+
+    assert.deepEqual(preview, { matched: 5, affected: 2, unchanged: 3 });
+  });
+
+  it('updates only pending contacts and reports every requested id', async () => {
+    const [first, second] = [objectId(), objectId()];
+    const missing = objectId().toString();
+    mockFind({ matching: [first, second], pending: [second] });
+    const updateMany = mock.method(Contact, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    const { summary, items } = await runBulkAction({
+      action: 'set_priority',
+      value: 'high',
+      query: { _id: { $in: [first, second, missing] } },
+      ids: [first.toString(), second.toString(), missing]
+    });
+
+    assert.deepEqual(updateMany.mock.calls[0].arguments.slice(0, 2), [{ _id: { $in: [second] } }, { $set: { priority: 'high' } }]);
+    assert.deepEqual(summary, { matched: 2, unchanged: 1, updated: 1, not_found: 1 });
+    assert.deepEqual(items, [
+      { id: first.toString(), result: 'unchanged' },
+      { id: second.toString(), result: 'updated' },
+      { id: missing, result: 'not_found' }
+    ]);
+  });
+
+  it('reports a failed chunk without aborting the run', async () => {
+    const ids = [objectId(), objectId(), objectId()];
+    mockFind({ matching: ids, pending: ids });
+    mock.method(console, 'error', () => {});
+    mock.method(Contact, 'updateMany', async () => { throw new Error('write conflict'); });
+
+    const { summary } = await runBulkAction({ action: 'add_tags', value: 'vip', query: {}, chunkSize: 2 });
+
+    assert.deepEqual(summary, { matched: 3, failed: 3 });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import sift from 'sift';
+import Contact from '../models/Contact.js';
+
+const MINUTE = 60 * 1000;
+
+// Runs Contact queries against an in-memory collection using Mongo query semantics
+let contacts = [];
+
+const addContact = (data) => {
+  const contact = { _id: new mongoose.Types.ObjectId(), fingerprint: 'abc', duplicateCount: 0, createdAt: new Date(), ...data };
+  contacts.push(contact);
+  return contact;
+};
+
+describe('Contact.recordDuplicate', () => {
+  beforeEach(() => {
+    contacts = [];
+    // Mocked at the driver so the soft-delete middleware still shapes the filter
+    mock.method(Contact.collection, 'findOneAndUpdate', async (filter, update) => {
+      const [match] = contacts
+        .filter(sift(filter))
+        .sort((a, b) => b.createdAt - a.createdAt);
+      if (!match) return null;
+
+      match.duplicateCount += update.$inc.duplicateCount;
+      return match;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('counts the repeat against the latest submission inside the window', async () => {
+    addContact({ createdAt: new Date(Date.now() - 5 * MINUTE) });
+    const latest = addContact({ createdAt: new Date(Date.now() - MINUTE) });
+    addContact({ fingerprint: 'other' });
+
+    const original = await Contact.recordDuplicate('abc', 10 * MINUTE);
+
+    assert.equal(String(original._id), String(latest._id));
+    assert.equal(latest.duplicateCount, 1);
+  });
+
+  it('finds a trashed original that still holds the dedupe key', async () => {
+    const trashed = addContact({ deletedAt: new Date(), dedupeKey: 'abc:1' });
+
+    const original = await Contact.recordDuplicate('abc', 10 * MINUTE);
+
+    assert.equal(String(original?._id), String(trashed._id));
+  });
+
+  it('resolves to null outside the window', async () => {
+    addContact({ createdAt: new Date(Date.now() - 20 * MINUTE) });
+
+    assert.equal(await Contact.recordDuplicate('abc', 10 * MINUTE), null);
+  });
+});
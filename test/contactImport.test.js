@@ -0,0 +1,181 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Contact from '../models/Contact.js';
+import {
+  ImportFormatError,
+  parseMapping,
+  csvRecords,
+  mboxRecords,
+  importContacts
+} from '../services/contactImport.js';
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+const recordsOf = (...records) => records.map((record, index) => ({ row: index + 2, record }));
+
+const validRecord = (overrides = {}) => ({
+  name: 'Jane Doe',
+  email: 'Jane@Example.com',
+  subject: 'Project enquiry',
+  message: 'I would like to talk about a project.',
+  createdAt: '2023-04-05T10:00:00Z',
+  ...overrides
+});
+
+describe('parseMapping', () => {
+  it('accepts known fields mapped to column names', () => {
+    assert.deepEqual(parseMapping({ email: 'E-mail' }), { mapping: { email: 'E-mail' }, errors: [] });
+  });
+
+  it('rejects unknown fields and empty column names', () => {
+    const { mapping, errors } = parseMapping({ phone: 'Phone', email: ' ' });
+
+    assert.equal(mapping, null);
+    assert.deepEqual(errors.map(error => error.field), ['mapping', 'mapping.email']);
+  });
+});
+
+describe('csvRecords', () => {
+  it('resolves headers case-insensitively through the mapping', async () => {
+    const csv = 'Sender,EMAIL,Body,Date\nJane,jane@example.com,Hello there,2023-04-05\n';
+
+    const rows = await collect(csvRecords(csv, { name: 'sender', message: 'body', createdAt: 'date' }));
+
+    assert.deepEqual(rows, [{
+      row: 2,
+      record: { name: 'Jane', email: 'jane@example.com', message: 'Hello there', createdAt: '2023-04-05' }
+    }]);
+  });
+
+  it('fails on missing required columns', async () => {
+    await assert.rejects(collect(csvRecords('name,email\nJane,jane@example.com\n')), (error) => {
+      assert.ok(error instanceof ImportFormatError);
+      assert.match(error.message, /missing required columns: message, createdAt/);
+      return true;
+    });
+  });
+});
+
+describe('mboxRecords', () => {
+  it('splits messages on envelope lines and unquotes >From', async () => {
+    const lines = [
+      'From jane@example.com Wed Apr  5 10:00:00 2023',
+      'From: Jane Doe <jane@example.com>',
+      'Subject: Hello',
+      'Date: Wed, 05 Apr 2023 10:00:00 +0000',
+      '',
+      '>From the start, thanks.',
+      '',
+      'From bob@example.com Thu Apr  6 10:00:00 2023',
+      'From: bob@example.com',
+      'Subject: Second',
+      '',
+      'Another message body.'
+    ];
+
+    const rows = await collect(mboxRecords(lines));
+
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].record.name, 'Jane Doe');
+    assert.equal(rows[0].record.message.trim(), 'From the start, thanks.');
+    assert.equal(rows[1].record.email, 'bob@example.com');
+  });
+});
+
+describe('importContacts', () => {
+  let existing;
+
+  beforeEach(() => {
+    existing = new Set();
+    mock.method(Contact, 'exists', (filter) => {
+      const result = Promise.resolve(existing.has(filter.dedupeKey) ? { _id: filter.dedupeKey } : null);
+      result.withDeleted = () => result;
+      return result;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('validates rows without writing on a dry run', async () => {
+    const save = mock.method(Contact.prototype, 'save', async () => {});
+
+    const report = await importContacts(recordsOf(validRecord(), validRecord({ createdAt: 'not a date' })), { dryRun: true });
+
+    assert.equal(save.mock.callCount(), 0);
+    assert.deepEqual(
+      { total: report.total, imported: report.imported, invalid: report.invalid },
+      { total: 2, imported: 1, invalid: 1 }
+    );
+    assert.equal(report.rows[0].errors[0].field, 'createdAt');
+  });
+
+  it('keeps the original timestamps and the default status', async () => {
+    const saved = [];
+    mock.method(Contact.prototype, 'save', async function(options) {
+      saved.push({ contact: this, options });
+    });
+
+    await importContacts(recordsOf(validRecord()));
+
+    const [{ contact, options }] = saved;
+    assert.equal(contact.email, 'jane@example.com');
+    assert.equal(contact.status, 'archived');
+    assert.equal(contact.createdAt.toISOString(), '2023-04-05T10:00:00.000Z');
+    assert.deepEqual(options, { timestamps: false });
+  });
+
+  it('skips rows that were already imported', async () => {
+    mock.method(Contact.prototype, 'save', async function() {
+      existing.add(this.dedupeKey);
+    });
+
+    await importContacts(recordsOf(validRecord()));
+    const report = await importContacts(recordsOf(validRecord()));
+
+    assert.equal(report.skipped, 1);
+    assert.deepEqual(report.rows, [{ row: 2, result: 'skipped', reason: 'Already imported' }]);
+  });
+
+  it('escapes exported text once, whether or not it was escaped already', async () => {
+    const saved = [];
+    mock.method(Contact.prototype, 'save', async function() {
+      saved.push(this);
+    });
+
+    await importContacts(recordsOf(
+      validRecord({ subject: 'Q&amp;A', message: 'Terms &amp; conditions for the project.' }),
+      validRecord({ subject: 'Q&A', message: 'Terms & conditions for the project.', createdAt: '2023-04-06T10:00:00Z' })
+    ));
+
+    saved.forEach(contact => {
+      assert.equal(contact.subject, 'Q&amp;A');
+      assert.equal(contact.message, 'Terms &amp; conditions for the project.');
+      assert.equal(contact.metadata.originalMessageLength, undefined);
+    });
+  });
+
+  it('dates replies of replied rows without a reply date at the submission', async () => {
+    const saved = [];
+    mock.method(Contact.prototype, 'save', async function() {
+      saved.push(this);
+    });
+
+    await importContacts(recordsOf(validRecord({ status: 'replied' })));
+
+    assert.equal(saved[0].status, 'replied');
+    assert.equal(saved[0].response.repliedAt.toISOString(), '2023-04-05T10:00:00.000Z');
+  });
+
+  it('reports schema validation failures per row', async () => {
+    const report = await importContacts(recordsOf(validRecord({ message: 'short' })), { dryRun: true });
+
+    assert.equal(report.invalid, 1);
+    assert.equal(report.rows[0].errors[0].field, 'message');
+  });
+});
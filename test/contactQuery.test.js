@@ -0,0 +1,123 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import {
+  MAX_LIMIT,
+  buildContactFilter,
+  parseSort,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  findCursorPage
+} from '../services/contactQuery.js';
+
+const contactAt = (iso) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(iso) });
+
+// Stands in for Contact.find(...).sort().limit().select(), recording the filter it was given
+const mockFind = (rows) => mock.method(Contact, 'find', (filter) => {
+  const query = {
+    filter,
+    sort: () => query,
+    limit: () => query,
+    select: async () => rows
+  };
+  return query;
+});
+
+describe('buildContactFilter', () => {
+  it('keeps spam out of the inbox unless a status is requested', () => {
+    assert.deepEqual(buildContactFilter({}).filter, { status: { $ne: 'spam' } });
+    assert.deepEqual(buildContactFilter({ status: 'spam,new' }).filter.status, { $in: ['spam', 'new'] });
+  });
+
+  it('rejects values outside the schema enums', () => {
+    const { errors } = buildContactFilter({ status: 'new,unknown', priority: 'whenever' });
+
+    assert.deepEqual(errors.map(error => error.field), ['status', 'priority']);
+  });
+
+  it('normalizes tags and countries', () => {
+    const { filter } = buildContactFilter({ tag: 'Sales, Urgent', country: 'de,us' });
+
+    assert.deepEqual(filter.tags, { $in: ['sales', 'urgent'] });
+    assert.deepEqual(filter['geo.country'], { $in: ['DE', 'US'] });
+  });
+
+  it('treats a bare `to` date as the whole day', () => {
+    const { filter } = buildContactFilter({ from: '2024-03-01', to: '2024-03-31' });
+
+    assert.deepEqual(filter.createdAt, {
+      $gte: new Date('2024-03-01T00:00:00.000Z'),
+      $lte: new Date('2024-03-31T23:59:59.999Z')
+    });
+  });
+
+  it('reports invalid dates and booleans', () => {
+    const { errors } = buildContactFilter({ from: 'yesterday', hasReply: 'maybe' });
+
+    assert.deepEqual(errors.map(error => error.field), ['from', 'hasReply']);
+  });
+});
+
+describe('sorting and limits', () => {
+  it('only sorts on whitelisted fields', () => {
+    assert.deepEqual(parseSort({ sortBy: 'createdAt', sortOrder: 'asc' }), { field: 'createdAt', order: 1, errors: [] });
+    assert.deepEqual(parseSort({ sortBy: 'message' }).errors.map(error => error.field), ['sortBy']);
+    assert.deepEqual(parseSort({ sortOrder: 'up' }).errors.map(error => error.field), ['sortOrder']);
+  });
+
+  it('clamps the page size', () => {
+    assert.equal(parseLimit(undefined), 10);
+    assert.equal(parseLimit('0'), 1);
+    assert.equal(parseLimit('5000'), MAX_LIMIT);
+  });
+});
+
+describe('cursor pagination', () => {
+  const sort = { field: 'createdAt', order: -1 };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('round-trips a cursor for the same sort only', () => {
+    const contact = contactAt('2024-05-01T10:00:00Z');
+    const cursor = encodeCursor(contact, sort, 'next');
+
+    assert.deepEqual(decodeCursor(cursor, sort), { value: contact.createdAt, id: contact._id, direction: 'next' });
+    assert.equal(decodeCursor(cursor, { field: 'createdAt', order: 1 }), null);
+    assert.equal(decodeCursor('not-a-cursor', sort), null);
+  });
+
+  it('fetches one extra row to detect a next page', async () => {
+    const rows = [contactAt('2024-05-03'), contactAt('2024-05-02'), contactAt('2024-05-01')];
+    mockFind(rows);
+
+    const { contacts, pagination } = await findCursorPage({ status: 'new' }, sort, 2, null);
+
+    assert.deepEqual(contacts, rows.slice(0, 2));
+    assert.equal(pagination.hasNext, true);
+    assert.equal(pagination.hasPrev, false);
+    assert.deepEqual(decodeCursor(pagination.next, sort).id, rows[1]._id);
+  });
+
+  it('continues after the cursor position, breaking ties on _id', async () => {
+    const last = contactAt('2024-05-02');
+    const find = mockFind([]);
+
+    await findCursorPage({ status: 'new' }, sort, 2, decodeCursor(encodeCursor(last, sort, 'next'), sort));
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      $and: [
+        { status: 'new' },
+        {
+          $or: [
+            { createdAt: { $lt: last.createdAt } },
+            { createdAt: last.createdAt, _id: { $lt: last._id } }
+          ]
+        }
+      ]
+    });
+  });
+});
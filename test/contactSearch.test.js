@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  parseSearchQuery,
+  searchMode,
+  toTextSearch,
+  buildScopeFilter,
+  buildSnippets,
+  encodeSearchCursor,
+  decodeSearchCursor
+} from '../services/contactSearch.js';
+
+describe('parseSearchQuery', () => {
+  it('splits terms, phrases, negations and scopes', () => {
+    const parsed = parseSearchQuery('invoice "late payment" -spam -"free offer" from:jane tag:Billing tag:vip');
+
+    assert.deepEqual(parsed, {
+      terms: ['invoice'],
+      phrases: ['late payment'],
+      negatedTerms: ['spam'],
+      negatedPhrases: ['free offer'],
+      from: ['jane'],
+      tags: ['billing', 'vip']
+    });
+  });
+
+  it('ranks by relevance only when there is positive text', () => {
+    assert.equal(searchMode(parseSearchQuery('invoice tag:vip')), 'score');
+    assert.equal(searchMode(parseSearchQuery('-spam tag:vip')), 'date');
+  });
+
+  it('rebuilds the $text search string', () => {
+    assert.equal(toTextSearch(parseSearchQuery('invoice "late payment" -spam')), 'invoice "late payment" -spam');
+  });
+});
+
+describe('buildScopeFilter', () => {
+  it('requires every tag', () => {
+    assert.deepEqual(buildScopeFilter(parseSearchQuery('invoice tag:a tag:b')), [{ tags: { $all: ['a', 'b'] } }]);
+  });
+
+  it('turns negations into regex exclusions when there is no $text to carry them', () => {
+    const [condition] = buildScopeFilter(parseSearchQuery('-spam'));
+
+    assert.ok(condition.$nor.length > 0);
+    assert.ok(condition.$nor.every(clause => Object.values(clause)[0].$regex === 'spam'));
+    assert.deepEqual(buildScopeFilter(parseSearchQuery('invoice -spam')), []);
+  });
+});
+
+describe('buildSnippets', () => {
+  it('highlights matches in escaped fragments', () => {
+    const [snippet] = buildSnippets('Tom &amp; Jerry sent the invoices today', parseSearchQuery('invoice'));
+
+    assert.equal(snippet, 'Tom &amp; Jerry sent the <mark>invoices</mark> today');
+  });
+
+  it('trims long text around the match', () => {
+    const text = `${'a '.repeat(100)}needle${' b'.repeat(100)}`;
+    const [snippet] = buildSnippets(text, parseSearchQuery('needle'), { radius: 10 });
+
+    assert.match(snippet, /^….*<mark>needle<\/mark>.*…$/);
+  });
+
+  it('returns nothing without positive terms', () => {
+    assert.deepEqual(buildSnippets('some text', parseSearchQuery('-text')), []);
+  });
+});
+
+describe('search cursors', () => {
+  const contact = { _id: new mongoose.Types.ObjectId(), score: 1.5, createdAt: new Date('2024-05-01T00:00:00Z') };
+
+  it('round-trips within the same mode only', () => {
+    const cursor = encodeSearchCursor(contact, 'score');
+
+    assert.deepEqual(decodeSearchCursor(cursor, 'score'), { value: 1.5, id: contact._id });
+    assert.equal(decodeSearchCursor(cursor, 'date'), null);
+    assert.deepEqual(decodeSearchCursor(encodeSearchCursor(contact, 'date'), 'date'), { value: contact.createdAt, id: contact._id });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  StatusTransitionError,
+  allowedActions,
+  resolveTransition,
+  transitionsInto
+} from '../services/contactWorkflow.js';
+
+describe('resolveTransition', () => {
+  it('resolves a named action from an allowed state', () => {
+    assert.deepEqual(resolveTransition('new', { action: 'mark_read' }), { action: 'mark_read', from: 'new', to: 'read' });
+  });
+
+  it('infers the action from a bare target status', () => {
+    assert.deepEqual(resolveTransition('read', { status: 'archived' }), { action: 'archive', from: 'read', to: 'archived' });
+  });
+
+  it('rejects actions that are not allowed from the current state', () => {
+    assert.throws(() => resolveTransition('archived', { action: 'mark_read' }), (error) => {
+      assert.ok(error instanceof StatusTransitionError);
+      assert.equal(error.statusCode, 422);
+      assert.deepEqual(error.details.allowedActions, [{ action: 'reopen', to: 'new' }]);
+      return true;
+    });
+  });
+
+  it('rejects an action paired with a different target status', () => {
+    assert.throws(() => resolveTransition('new', { action: 'archive', status: 'read' }), StatusTransitionError);
+  });
+
+  it('rejects unknown actions', () => {
+    assert.throws(() => resolveTransition('new', { action: 'delete' }), { message: 'Unknown action "delete"' });
+  });
+
+  it('requires explicit actions for reopening and releasing', () => {
+    assert.throws(
+      () => resolveTransition('archived', { status: 'new' }),
+      { message: 'A "archived" contact can only move to "new" with the "reopen" action' }
+    );
+    assert.deepEqual(resolveTransition('spam', { action: 'release' }), { action: 'release', from: 'spam', to: 'new' });
+  });
+
+  it('rejects moves with no path', () => {
+    assert.throws(() => resolveTransition('replied', { status: 'spam' }), { message: 'Cannot move a contact from "replied" to "spam"' });
+  });
+});
+
+describe('workflow helpers', () => {
+  it('lists the actions available from a state', () => {
+    assert.deepEqual(allowedActions('spam').map(({ action }) => action), ['archive', 'release']);
+  });
+
+  it('maps source states to the implicit action reaching a status', () => {
+    assert.deepEqual(transitionsInto('archived'), { new: 'archive', read: 'archive', replied: 'archive', spam: 'archive' });
+    assert.deepEqual(transitionsInto('new'), { read: 'mark_unread' });
+  });
+});
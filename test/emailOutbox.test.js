@@ -0,0 +1,101 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The encryption plugin is attached when the model module loads
+process.env.ENCRYPTION_KEYS = `v1:${Buffer.alloc(32, 1).toString('base64')}`;
+process.env.BLIND_INDEX_KEY = Buffer.alloc(32, 2).toString('base64');
+
+const { default: EmailOutbox, OUTBOX_ENCRYPTION } = await import('../models/EmailOutbox.js');
+const { rewriteFilter } = await import('../models/plugins/encryptedFields.js');
+const { isEncrypted, blindIndex } = await import('../utils/fieldEncryption.js');
+const { default: emailService } = await import('../services/email/emailService.js');
+const { default: emailOutbox } = await import('../services/email/outbox.js');
+
+const mailOptions = {
+  to: 'visitor@example.com',
+  toName: 'Visitor',
+  replyTo: { name: 'Support', email: 'support@example.com' },
+  subject: 'We received your message',
+  html: '<p>Your message</p>',
+  text: 'Your message'
+};
+
+describe('EmailOutbox encryption', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = { inserts: [], updates: [] };
+    mock.method(EmailOutbox.collection, 'insertOne', async (doc) => {
+      stored.inserts.push(doc);
+      return { acknowledged: true, insertedId: doc._id };
+    });
+    mock.method(EmailOutbox.collection, 'updateOne', async (filter, update) => {
+      stored.updates.push(update);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    });
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores the recipient and message encrypted and keeps plaintext in memory', async () => {
+    const entry = await emailOutbox.enqueue(mailOptions, { type: 'confirmation' });
+    const [raw] = stored.inserts;
+
+    ['to', 'toName', 'subject', 'html', 'text'].forEach(field => {
+      assert.ok(isEncrypted(raw.message[field]), `message.${field} should be encrypted`);
+    });
+    assert.ok(isEncrypted(raw.message.replyTo.email));
+    assert.equal(raw.recipientHash, blindIndex('visitor@example.com'));
+    assert.equal(entry.message.to, 'visitor@example.com');
+    assert.equal(entry.message.html, '<p>Your message</p>');
+  });
+
+  it('decrypts entries read back from the database', async () => {
+    await emailOutbox.enqueue(mailOptions, { type: 'confirmation' });
+    const entry = EmailOutbox.hydrate(stored.inserts[0]);
+
+    assert.equal(entry.message.to, 'visitor@example.com');
+    assert.equal(entry.message.replyTo.email, 'support@example.com');
+    assert.equal(entry.message.text, 'Your message');
+  });
+
+  it('drops the body once the email is sent', async () => {
+    await emailOutbox.enqueue(mailOptions, { type: 'confirmation' });
+    const entry = EmailOutbox.hydrate(stored.inserts[0]);
+    const send = mock.method(emailService, 'sendEmail', async () => ({ messageId: 'm-1', provider: 'console' }));
+
+    await emailOutbox.deliver(entry);
+
+    assert.equal(send.mock.calls[0].arguments[0].html, '<p>Your message</p>');
+    assert.equal(entry.status, 'sent');
+    assert.deepEqual(stored.updates[0].$unset, { 'message.html': 1, 'message.text': 1 });
+  });
+
+  it('keeps the encrypted body of dead-lettered entries for requeueing', async () => {
+    await emailOutbox.enqueue(mailOptions, { type: 'confirmation' });
+    const entry = EmailOutbox.hydrate({ ...stored.inserts[0], attempts: 4, maxAttempts: 5 });
+    mock.method(emailService, 'sendEmail', async () => { throw new Error('Provider unavailable'); });
+
+    await emailOutbox.deliver(entry);
+
+    assert.equal(entry.status, 'dead');
+    assert.equal(entry.message.html, '<p>Your message</p>');
+    assert.equal(stored.updates[0].$unset?.['message.html'], undefined);
+  });
+
+  it('finds entries by recipient through the blind index', () => {
+    const filter = rewriteFilter({ 'message.to': 'visitor@example.com' }, OUTBOX_ENCRYPTION);
+
+    assert.deepEqual(filter, {
+      $and: [{
+        $or: [
+          { recipientHash: blindIndex('visitor@example.com') },
+          { 'message.to': 'visitor@example.com' }
+        ]
+      }]
+    });
+  });
+});
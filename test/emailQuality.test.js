@@ -0,0 +1,110 @@
+import { describe, it, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isDisposableDomain,
+  suggestDomain,
+  checkEmailQuality,
+  hasMxRecords,
+  setMxResolver
+} from '../services/emailQuality.js';
+
+const dnsError = (code) => Object.assign(new Error(code), { code });
+
+describe('isDisposableDomain', () => {
+  it('matches listed domains and their subdomains', () => {
+    assert.equal(isDisposableDomain('mailinator.com'), true);
+    assert.equal(isDisposableDomain('inbox.Mailinator.com'), true);
+  });
+
+  it('does not match regular providers or lookalike suffixes', () => {
+    assert.equal(isDisposableDomain('gmail.com'), false);
+    assert.equal(isDisposableDomain('notmailinator.com'), false);
+  });
+});
+
+describe('suggestDomain', () => {
+  it('corrects common misspellings', () => {
+    assert.equal(suggestDomain('gmial.com'), 'gmail.com');
+    assert.equal(suggestDomain('Hotmial.com'), 'hotmail.com');
+  });
+
+  it('corrects mistyped top-level domains', () => {
+    assert.equal(suggestDomain('example.con'), 'example.com');
+  });
+
+  it('corrects provider labels one edit away', () => {
+    assert.equal(suggestDomain('gmal.com'), 'gmail.com');
+    assert.equal(suggestDomain('outllook.com'), 'outlook.com');
+  });
+
+  it('leaves known and regional provider domains alone', () => {
+    assert.equal(suggestDomain('gmail.com'), null);
+    assert.equal(suggestDomain('yahoo.co.id'), null);
+    assert.equal(suggestDomain('yahoo.com.br'), null);
+    assert.equal(suggestDomain('gmail.de'), null);
+  });
+
+  it('does not guess for short labels', () => {
+    assert.equal(suggestDomain('gmz.com'), null);
+    assert.equal(suggestDomain('lime.com'), null);
+  });
+});
+
+describe('hasMxRecords', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('is true when the domain publishes MX records', async () => {
+    setMxResolver(async () => [{ exchange: 'mx.example.com', priority: 10 }]);
+    assert.equal(await hasMxRecords('example.com'), true);
+  });
+
+  it('is false when the domain does not exist', async () => {
+    setMxResolver(async () => { throw dnsError('ENOTFOUND'); });
+    assert.equal(await hasMxRecords('nowhere.invalid'), false);
+  });
+
+  it('is inconclusive when the lookup fails for other reasons', async () => {
+    mock.method(console, 'warn', () => {});
+    setMxResolver(async () => { throw dnsError('ESERVFAIL'); });
+    assert.equal(await hasMxRecords('example.com'), null);
+  });
+});
+
+describe('checkEmailQuality', () => {
+  before(() => {
+    setMxResolver(async (domain) => {
+      if (domain === 'no-mail.example') throw dnsError('ENODATA');
+      return [{ exchange: `mx.${domain}`, priority: 10 }];
+    });
+  });
+
+  it('flags disposable addresses', async () => {
+    const result = await checkEmailQuality('someone@mailinator.com');
+    assert.equal(result.verdict, 'disposable');
+  });
+
+  it('flags typos with a suggested address', async () => {
+    const result = await checkEmailQuality('Someone@gmial.com');
+
+    assert.equal(result.verdict, 'typo');
+    assert.equal(result.suggestion, 'someone@gmail.com');
+  });
+
+  it('only looks up MX records when asked to', async () => {
+    assert.equal((await checkEmailQuality('someone@no-mail.example', { checkMx: false })).verdict, 'ok');
+
+    const result = await checkEmailQuality('someone@no-mail.example', { checkMx: true });
+    assert.equal(result.verdict, 'no_mx');
+    assert.equal(result.mx, false);
+  });
+
+  it('accepts regular addresses', async () => {
+    const result = await checkEmailQuality('someone@example.com', { checkMx: true });
+
+    assert.equal(result.verdict, 'ok');
+    assert.equal(result.mx, true);
+    assert.equal(result.domain, 'example.com');
+  });
+});
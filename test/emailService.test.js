@@ -0,0 +1,64 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Transports are chosen when the service module loads
+process.env.EMAIL_TRANSPORT = 'console';
+process.env.EMAIL_FALLBACK_TRANSPORT = 'brevo';
+delete process.env.BREVO_API_KEY;
+
+const { default: emailService } = await import('../services/email/emailService.js');
+
+const fakeTransport = (name, send) => ({ name, isConfigured: true, send: mock.fn(send) });
+
+const mailOptions = { to: 'visitor@example.com', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi' };
+
+describe('emailService', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('skips transports that are not configured', () => {
+    assert.deepEqual(emailService.providers, ['console']);
+    assert.equal(emailService.isConfigured, true);
+  });
+
+  it('sends through the primary transport when it succeeds', async () => {
+    const primary = fakeTransport('primary', async () => ({ messageId: 'p-1' }));
+    const fallback = fakeTransport('fallback', async () => ({ messageId: 'f-1' }));
+    emailService.transports = [primary, fallback];
+
+    const result = await emailService.sendEmail(mailOptions);
+
+    assert.deepEqual(result, { messageId: 'p-1', provider: 'primary' });
+    assert.equal(fallback.send.mock.callCount(), 0);
+  });
+
+  it('fails over to the fallback transport when the primary throws', async () => {
+    const primary = fakeTransport('primary', async () => { throw new Error('rate limited'); });
+    const fallback = fakeTransport('fallback', async () => ({ messageId: 'f-1' }));
+    emailService.transports = [primary, fallback];
+
+    const result = await emailService.sendEmail(mailOptions);
+
+    assert.deepEqual(result, { messageId: 'f-1', provider: 'fallback' });
+    assert.equal(primary.send.mock.callCount(), 1);
+    assert.equal(fallback.send.mock.calls[0].arguments[0].to.email, 'visitor@example.com');
+  });
+
+  it('reports every failure when all transports fail', async () => {
+    emailService.transports = [
+      fakeTransport('primary', async () => { throw new Error('timeout'); }),
+      fakeTransport('fallback', async () => { throw new Error('invalid key'); })
+    ];
+
+    await assert.rejects(
+      emailService.sendEmail(mailOptions),
+      { message: 'All email transports failed (primary: timeout; fallback: invalid key)' }
+    );
+  });
+});
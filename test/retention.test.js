@@ -0,0 +1,99 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Policies are read when the config module loads
+process.env.RETENTION_POLICIES = JSON.stringify([
+  { name: 'spam', status: 'spam', maxAgeDays: 30, action: 'delete' },
+  { name: 'replied', status: 'replied', maxAgeDays: 90, action: 'anonymize' },
+  { name: 'archived', status: 'archived', maxAgeDays: 365, action: 'archive' }
+]);
+
+const { default: mongoose } = await import('mongoose');
+const { default: sift } = await import('sift');
+const { default: Contact } = await import('../models/Contact.js');
+const { default: ContactArchive } = await import('../models/ContactArchive.js');
+const { default: RetentionRun } = await import('../models/RetentionRun.js');
+const { runRetention } = await import('../services/retention.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Runs Contact and EmailOutbox queries against in-memory collections using Mongo query semantics
+let contacts = [];
+let outbox = [];
+let archived = [];
+
+const addContact = (status, ageDays) => {
+  const contact = { _id: new mongoose.Types.ObjectId(), status, createdAt: new Date(Date.now() - ageDays * DAY) };
+  contacts.push(contact);
+  outbox.push({ _id: new mongoose.Types.ObjectId(), contact: contact._id, message: { to: 'visitor@example.com' } });
+  return contact;
+};
+
+const outboxFor = (contact) => outbox.filter(entry => entry.contact.equals(contact._id));
+
+const collections = () => ({ Contact: contacts, EmailOutbox: outbox });
+
+describe('runRetention', () => {
+  beforeEach(() => {
+    contacts = [];
+    outbox = [];
+    archived = [];
+
+    mock.method(mongoose.Query.prototype, 'exec', async function() {
+      const docs = collections()[this.model.modelName];
+      const matches = docs.filter(sift(this.getFilter()));
+
+      if (this.op === 'countDocuments') return matches.length;
+      if (this.op === 'find') return matches.slice(0, this.options.limit).map(doc => ({ ...doc }));
+      if (this.op === 'updateMany') {
+        matches.forEach(doc => Object.assign(doc, this.getUpdate().$set));
+        return { modifiedCount: matches.length };
+      }
+      if (this.op === 'deleteMany') {
+        const remaining = docs.filter(doc => !matches.includes(doc));
+        docs.splice(0, docs.length, ...remaining);
+        return { deletedCount: matches.length };
+      }
+      throw new Error(`Unexpected ${this.op} on ${this.model.modelName}`);
+    });
+    mock.method(ContactArchive, 'insertMany', async (docs) => { archived.push(...docs); });
+    mock.method(RetentionRun.prototype, 'save', async function() { return this; });
+    mock.method(RetentionRun, 'create', async (data) => new RetentionRun(data));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('deletes the outbox copies of deleted contacts', async () => {
+    const expired = addContact('spam', 40);
+    const recent = addContact('spam', 5);
+
+    const run = await runRetention();
+
+    assert.equal(run.totals.processed, 1);
+    assert.deepEqual(outboxFor(expired), []);
+    assert.equal(outboxFor(recent).length, 1);
+  });
+
+  it('deletes the outbox copies of anonymized contacts', async () => {
+    const expired = addContact('replied', 100);
+
+    await runRetention();
+
+    assert.ok(expired.anonymizedAt);
+    assert.deepEqual(outboxFor(expired), []);
+  });
+
+  it('deletes the outbox copies of archived contacts', async () => {
+    const expired = addContact('archived', 400);
+    const kept = addContact('new', 400);
+
+    await runRetention();
+
+    assert.deepEqual(archived.map(contact => String(contact._id)), [String(expired._id)]);
+    assert.deepEqual(outboxFor(expired), []);
+    assert.equal(outboxFor(kept).length, 1);
+  });
+});
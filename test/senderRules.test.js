@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import sift from 'sift';
+import SenderRule from '../models/SenderRule.js';
+import { evaluateSender } from '../services/senderRules.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Runs SenderRule queries against an in-memory collection using Mongo query semantics
+let rules = [];
+
+const addRule = (data) => {
+  const rule = new SenderRule({ createdBy: 'Admin', ...data });
+  rules.push(rule);
+  return rule;
+};
+
+describe('evaluateSender', () => {
+  beforeEach(() => {
+    rules = [];
+    mock.method(mongoose.Query.prototype, 'exec', async function() {
+      if (this.op === 'updateOne') return { modifiedCount: 1 };
+      return rules.filter(rule => sift(this.getFilter())(rule.toObject()));
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('blocks the listed address only', async () => {
+    addRule({ list: 'block', type: 'email', value: 'spammer@example.com' });
+
+    assert.equal((await evaluateSender({ email: 'Spammer@Example.com', ip: '198.51.100.1' })).action, 'block');
+    assert.deepEqual(await evaluateSender({ email: 'visitor@example.org', ip: '198.51.100.1' }), { action: null, rule: null });
+  });
+
+  it('blocks a domain and its subdomains but not lookalikes', async () => {
+    addRule({ list: 'block', type: 'domain', value: 'example.com' });
+
+    assert.equal((await evaluateSender({ email: 'a@mail.example.com' })).action, 'block');
+    assert.equal((await evaluateSender({ email: 'a@notexample.com' })).action, null);
+  });
+
+  it('blocks addresses and ranges without affecting other senders', async () => {
+    addRule({ list: 'block', type: 'ip', value: '203.0.113.5' });
+    addRule({ list: 'block', type: 'cidr', value: '192.0.2.0/24' });
+
+    assert.equal((await evaluateSender({ email: 'a@example.org', ip: '203.0.113.5' })).action, 'block');
+    assert.equal((await evaluateSender({ email: 'a@example.org', ip: '192.0.2.77' })).action, 'block');
+    assert.equal((await evaluateSender({ email: 'a@example.org', ip: '203.0.113.6' })).action, null);
+  });
+
+  it('ignores expired rules', async () => {
+    addRule({ list: 'block', type: 'email', value: 'old@example.com', expiresAt: new Date(Date.now() - DAY) });
+    addRule({ list: 'block', type: 'email', value: 'new@example.com', expiresAt: new Date(Date.now() + DAY) });
+
+    assert.equal((await evaluateSender({ email: 'old@example.com' })).action, null);
+    assert.equal((await evaluateSender({ email: 'new@example.com' })).action, 'block');
+  });
+
+  it('lets a more specific allow rule override a block', async () => {
+    addRule({ list: 'block', type: 'domain', value: 'example.com' });
+    const allow = addRule({ list: 'allow', type: 'email', value: 'friend@example.com' });
+
+    const result = await evaluateSender({ email: 'friend@example.com' });
+
+    assert.equal(result.action, 'allow');
+    assert.equal(result.rule._id, allow._id);
+  });
+});
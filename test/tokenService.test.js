@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+// Credentials and secrets are read when the modules load
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ADMIN_USERNAME = 'Admin@Example.com';
+delete process.env.ADMIN_PASSWORD;
+
+const { default: tokenService, hashPassword } = await import('../services/tokenService.js');
+const { default: authConfig } = await import('../config/auth.js');
+const { default: RevokedToken } = await import('../models/RevokedToken.js');
+
+authConfig.admin.passwordHash = hashPassword('correct horse');
+
+describe('tokenService', () => {
+  let revoked;
+
+  beforeEach(() => {
+    revoked = new Set();
+    mock.method(RevokedToken, 'isRevoked', async (jti) => revoked.has(jti));
+    mock.method(RevokedToken, 'updateOne', async (filter) => {
+      revoked.add(filter.jti);
+      return { acknowledged: true };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('checks credentials against the scrypt hash', () => {
+    assert.equal(tokenService.verifyCredentials('admin@example.com', 'correct horse'), true);
+    assert.equal(tokenService.verifyCredentials('admin@example.com', 'wrong'), false);
+    assert.equal(tokenService.verifyCredentials('someone@example.com', 'correct horse'), false);
+  });
+
+  it('issues tokens that verify as their own type only', async () => {
+    const { accessToken, refreshToken } = tokenService.issueTokenPair('admin');
+
+    const payload = await tokenService.verifyAccessToken(accessToken);
+    assert.equal(payload.sub, 'admin');
+    assert.equal(payload.type, 'access');
+
+    await assert.rejects(tokenService.verifyAccessToken(refreshToken), jwt.JsonWebTokenError);
+    await assert.rejects(tokenService.verifyRefreshToken(accessToken), jwt.JsonWebTokenError);
+  });
+
+  it('rejects tokens signed with another secret', async () => {
+    const forged = jwt.sign({ type: 'access', role: 'admin' }, 'other-secret', { issuer: authConfig.issuer });
+
+    await assert.rejects(tokenService.verifyAccessToken(forged), jwt.JsonWebTokenError);
+  });
+
+  it('rejects revoked tokens', async () => {
+    const { accessToken } = tokenService.issueTokenPair('admin');
+    const payload = await tokenService.verifyAccessToken(accessToken);
+
+    await tokenService.revoke(payload);
+
+    await assert.rejects(tokenService.verifyAccessToken(accessToken), { message: 'Token has been revoked' });
+  });
+
+  it('revokes the old refresh token when rotating', async () => {
+    const { refreshToken } = tokenService.issueTokenPair('admin');
+
+    const rotated = await tokenService.rotate(refreshToken);
+
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    await assert.rejects(tokenService.rotate(refreshToken), { message: 'Token has been revoked' });
+    assert.equal((await tokenService.verifyRefreshToken(rotated.refreshToken)).sub, 'admin');
+  });
+});
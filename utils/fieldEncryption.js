@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import encryptionConfig from '../config/encryption.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const PREFIX = 'enc';
+
+/**
+ * Encrypted values are stored as `enc:<keyVersion>:<iv>:<authTag>:<ciphertext>` (base64 parts)
+ */
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+export const keyVersionOf = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+export const encryptValue = (value, version = encryptionConfig.activeVersion) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) {
+    return value;
+  }
+
+  const key = encryptionConfig.keys.get(version);
+  if (!key) {
+    throw new Error(`Encryption key "${version}" is not configured`);
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [PREFIX, version, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a stored value. Plaintext (not yet migrated) values are returned unchanged.
+ */
+export const decryptValue = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, version, iv, authTag, ciphertext] = value.split(':');
+  const key = encryptionConfig.keys.get(version);
+  if (!key) {
+    throw new Error(`Encryption key "${version}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Deterministic keyed hash used to look up an encrypted value by equality
+ */
+export const blindIndex = (value) => crypto
+  .createHmac('sha256', encryptionConfig.blindIndexKey)
+  .update(String(value).trim().toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate a key suitable for ENCRYPTION_KEYS or BLIND_INDEX_KEY
+ */
+export const generateKey = () => crypto.randomBytes(32).toString('base64');
@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+import validator from 'validator';
+
+/**
+ * Normalize free text so trivial differences (case, whitespace, HTML escaping)
+ * do not defeat duplicate detection
+ */
+export const normalizeText = (value) => validator.unescape(String(value ?? ''))
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+export const hashParts = (...parts) => crypto
+  .createHash('sha256')
+  .update(parts.map(normalizeText).join('\u0000'))
+  .digest('hex');
+
+/**
+ * Content fingerprint of a submission - normalized email, subject and message
+ */
+export const contactFingerprint = ({ email, subject, message }) => hashParts(email, subject, message);
@@ -0,0 +1,69 @@
+/**
+ * Premium Response Utility Functions
+ */
+const ResponseUtil = {
+  success: (res, message, data = null, statusCode = 200) => {
+    const response = {
+      success: true,
+      message,
+      timestamp: new Date().toISOString(),
+      ...(data && { data })
+    };
+    return res.status(statusCode).json(response);
+  },
+
+  error: (res, message, error = null, statusCode = 500) => {
+    const response = {
+      success: false,
+      message,
+      timestamp: new Date().toISOString(),
+      ...(process.env.NODE_ENV === 'development' && error && { error: error.message })
+    };
+    return res.status(statusCode).json(response);
+  },
+
+  validationError: (res, errors) => {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Array.isArray(errors) ? errors : [errors],
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  conflict: (res, message, data = null) => {
+    return res.status(409).json({
+      success: false,
+      message,
+      timestamp: new Date().toISOString(),
+      ...(data && { data })
+    });
+  },
+
+  unprocessable: (res, message, data = null) => {
+    return res.status(422).json({
+      success: false,
+      message,
+      timestamp: new Date().toISOString(),
+      ...(data && { data })
+    });
+  },
+
+  unauthorized: (res, message = 'Authentication required') => {
+    return res.status(401).json({
+      success: false,
+      message,
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  forbidden: (res, message = 'You do not have permission to perform this action') => {
+    return res.status(403).json({
+      success: false,
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+export default ResponseUtil;